@@ -0,0 +1,439 @@
+/**
+ * @file accessibility.js
+ * Role and accessible name computation for the Locator Generator and the Selector Verifier.
+ * Follows the HTML-AAM implicit role mappings, WAI-ARIA role conflict resolution and the accname 1.2
+ * text alternative algorithm closely enough to agree with the role engine behind Playwright's getByRole().
+ */
+
+// --- ROLES ---
+
+const ARIA_ROLES = [
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell', 'checkbox',
+    'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion', 'dialog', 'directory',
+    'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img',
+    'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'mark', 'marquee', 'math', 'meter', 'menu',
+    'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'navigation', 'none', 'note', 'option', 'paragraph',
+    'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup', 'rowheader', 'scrollbar',
+    'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status', 'strong', 'subscript', 'superscript',
+    'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree',
+    'treegrid', 'treeitem',
+];
+
+// Roles whose accessible name may come from their content (accname 1.2, step 2F).
+const NAME_FROM_CONTENT_ROLES = [
+    'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab', 'tooltip', 'treeitem',
+];
+
+// Roles that contribute their content when they are a descendant of an element named from content.
+const NAME_FROM_CONTENT_DESCENDANT_ROLES = [
+    'caption', 'code', 'contentinfo', 'definition', 'deletion', 'emphasis', 'generic', 'insertion', 'list',
+    'listitem', 'mark', 'none', 'paragraph', 'presentation', 'region', 'rowgroup', 'strong', 'subscript',
+    'superscript', 'table', 'term', 'time',
+];
+
+const GLOBAL_ARIA_ATTRIBUTES = [
+    'aria-atomic', 'aria-busy', 'aria-controls', 'aria-current', 'aria-describedby', 'aria-details',
+    'aria-dropeffect', 'aria-flowto', 'aria-grabbed', 'aria-hidden', 'aria-keyshortcuts', 'aria-label',
+    'aria-labelledby', 'aria-live', 'aria-owns', 'aria-relevant', 'aria-roledescription',
+];
+
+// Child elements that inherit a presentational role from their parent (WAI-ARIA "required owned elements").
+const PRESENTATION_INHERITANCE = {
+    LI: ['UL', 'OL', 'MENU'],
+    DT: ['DL'],
+    DD: ['DL'],
+    THEAD: ['TABLE'], TBODY: ['TABLE'], TFOOT: ['TABLE'], CAPTION: ['TABLE'], TR: ['TABLE', 'THEAD', 'TBODY', 'TFOOT'],
+    TD: ['TR'], TH: ['TR'],
+};
+
+// <header> and <footer> are only landmarks when they are not scoped to one of these.
+const LANDMARK_SCOPING_SELECTOR = 'article, aside, main, nav, section';
+
+const INPUT_TYPE_ROLES = {
+    button: 'button', checkbox: 'checkbox', file: 'button', image: 'button', number: 'spinbutton',
+    radio: 'radio', range: 'slider', reset: 'button', submit: 'button',
+};
+
+function hasExplicitAccessibleName(element) {
+    return element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby');
+}
+
+function closestComposed(element, selector) {
+    for (let current = element; current; current = getComposedParent(current)) {
+        if (current.matches(selector)) return current;
+    }
+    return null;
+}
+
+const IMPLICIT_ROLE_BY_TAG = {
+    A: element => element.hasAttribute('href') ? 'link' : null,
+    AREA: element => element.hasAttribute('href') ? 'link' : null,
+    ARTICLE: () => 'article',
+    ASIDE: () => 'complementary',
+    BLOCKQUOTE: () => 'blockquote',
+    BUTTON: () => 'button',
+    CAPTION: () => 'caption',
+    CODE: () => 'code',
+    DATALIST: () => 'listbox',
+    DD: () => 'definition',
+    DEL: () => 'deletion',
+    DETAILS: () => 'group',
+    DFN: () => 'term',
+    DIALOG: () => 'dialog',
+    DT: () => 'term',
+    EM: () => 'emphasis',
+    FIELDSET: () => 'group',
+    FIGURE: () => 'figure',
+    FOOTER: element => closestComposed(getComposedParent(element) || element, LANDMARK_SCOPING_SELECTOR) ? null : 'contentinfo',
+    FORM: element => hasExplicitAccessibleName(element) ? 'form' : null,
+    H1: () => 'heading', H2: () => 'heading', H3: () => 'heading', H4: () => 'heading', H5: () => 'heading', H6: () => 'heading',
+    HEADER: element => closestComposed(getComposedParent(element) || element, LANDMARK_SCOPING_SELECTOR) ? null : 'banner',
+    HGROUP: () => 'group',
+    HR: () => 'separator',
+    HTML: () => 'document',
+    IMG: element => (element.getAttribute('alt') === '' && !element.getAttribute('title') && !hasExplicitAccessibleName(element))
+        ? 'presentation' : 'img',
+    INPUT: element => {
+        const type = (element.type || 'text').toLowerCase();
+        if (type === 'hidden') return null;
+        if (type === 'search') return element.hasAttribute('list') ? 'combobox' : 'searchbox';
+        if (['email', 'tel', 'text', 'url', ''].includes(type)) {
+            const listId = element.getAttribute('list');
+            const list = listId && element.getRootNode().getElementById(listId);
+            return list && list.tagName === 'DATALIST' ? 'combobox' : 'textbox';
+        }
+        return INPUT_TYPE_ROLES[type] || 'textbox';
+    },
+    INS: () => 'insertion',
+    LI: () => 'listitem',
+    MAIN: () => 'main',
+    MARK: () => 'mark',
+    MATH: () => 'math',
+    MENU: () => 'list',
+    METER: () => 'meter',
+    NAV: () => 'navigation',
+    OL: () => 'list',
+    OPTGROUP: () => 'group',
+    OPTION: () => 'option',
+    OUTPUT: () => 'status',
+    P: () => 'paragraph',
+    PROGRESS: () => 'progressbar',
+    SEARCH: () => 'search',
+    SECTION: element => hasExplicitAccessibleName(element) ? 'region' : null,
+    SELECT: element => (element.multiple || element.size > 1) ? 'listbox' : 'combobox',
+    STRONG: () => 'strong',
+    SUB: () => 'subscript',
+    SUP: () => 'superscript',
+    SVG: () => 'img',
+    TABLE: () => 'table',
+    TBODY: () => 'rowgroup',
+    TD: element => {
+        const table = closestComposed(element, 'table');
+        const tableRole = table && getExplicitRole(table);
+        return tableRole === 'grid' || tableRole === 'treegrid' ? 'gridcell' : 'cell';
+    },
+    TEXTAREA: () => 'textbox',
+    TFOOT: () => 'rowgroup',
+    TH: element => {
+        const scope = element.getAttribute('scope');
+        return scope === 'row' || scope === 'rowgroup' ? 'rowheader' : 'columnheader';
+    },
+    THEAD: () => 'rowgroup',
+    TIME: () => 'time',
+    TR: () => 'row',
+    UL: () => 'list',
+};
+
+function getExplicitRole(element) {
+    const roles = (element.getAttribute('role') || '').split(/\s+/).map(role => role.trim().toLowerCase());
+    return roles.find(role => ARIA_ROLES.includes(role)) || null;
+}
+
+function isFocusable(element) {
+    if (element.disabled) return false;
+    if (element.hasAttribute('tabindex')) return true;
+    if (['BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) return true;
+    if (['A', 'AREA'].includes(element.tagName)) return element.hasAttribute('href');
+    return element.isContentEditable === true;
+}
+
+function getImplicitRoleForTag(element) {
+    const tagName = element.tagName.toUpperCase();
+    const parent = getComposedParent(element);
+    const inheritingParents = PRESENTATION_INHERITANCE[tagName];
+    if (inheritingParents && parent && inheritingParents.includes(parent.tagName.toUpperCase())) {
+        const parentRole = getImplicitRole(parent);
+        if (parentRole === 'none' || parentRole === 'presentation') return 'presentation';
+    }
+    const mapping = IMPLICIT_ROLE_BY_TAG[tagName];
+    return mapping ? mapping(element) : null;
+}
+
+// Focusable elements and elements with global ARIA attributes ignore role="none"/"presentation".
+function hasPresentationConflict(element) {
+    return isFocusable(element) || GLOBAL_ARIA_ATTRIBUTES.some(attribute => element.hasAttribute(attribute));
+}
+
+/**
+ * Returns the ARIA role of an element: a valid explicit role if present, otherwise its implicit role.
+ */
+function getImplicitRole(element) {
+    const explicitRole = getExplicitRole(element);
+    if (explicitRole && !((explicitRole === 'none' || explicitRole === 'presentation') && hasPresentationConflict(element))) {
+        return explicitRole;
+    }
+    return getImplicitRoleForTag(element);
+}
+
+// --- VISIBILITY ---
+
+function getElementStyle(element) {
+    const view = element.ownerDocument.defaultView;
+    return view ? view.getComputedStyle(element) : null;
+}
+
+/**
+ * Returns true when an element is excluded from the accessibility tree: aria-hidden, display: none,
+ * visibility: hidden, or one of the never-rendered elements such as <script>.
+ */
+function isElementHiddenForAria(element) {
+    if (['STYLE', 'SCRIPT', 'NOSCRIPT', 'TEMPLATE'].includes(element.tagName.toUpperCase())) return true;
+    const style = getElementStyle(element);
+    if (style && (style.visibility === 'hidden' || style.visibility === 'collapse')) return true;
+    for (let current = element; current; current = getComposedParent(current)) {
+        if (current.getAttribute('aria-hidden') === 'true') return true;
+        if (current.hasAttribute('hidden')) return true;
+        const currentStyle = getElementStyle(current);
+        if (currentStyle && currentStyle.display === 'none') return true;
+    }
+    return false;
+}
+
+// --- STATES ---
+
+/**
+ * Returns the value of an ARIA state (checked, disabled, expanded, pressed, selected) or the heading level,
+ * taking native HTML semantics into account. Checked and pressed may be 'mixed'.
+ */
+function getAriaState(element, state) {
+    switch (state) {
+        case 'checked':
+        case 'pressed': {
+            if (state === 'checked' && element.tagName === 'INPUT' && ['checkbox', 'radio'].includes(element.type)) {
+                return element.indeterminate ? 'mixed' : element.checked;
+            }
+            const value = element.getAttribute(`aria-${state}`);
+            return value === 'mixed' ? 'mixed' : value === 'true';
+        }
+        case 'disabled':
+            if (['BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'OPTION', 'OPTGROUP', 'FIELDSET'].includes(element.tagName)
+                && element.matches(':disabled')) return true;
+            return Boolean(closestComposed(element, '[aria-disabled="true"]'));
+        case 'expanded':
+            return element.getAttribute('aria-expanded') === 'true';
+        case 'selected':
+            if (element.tagName === 'OPTION') return element.selected;
+            return element.getAttribute('aria-selected') === 'true';
+        case 'level': {
+            const ariaLevel = Number(element.getAttribute('aria-level'));
+            if (ariaLevel > 0) return ariaLevel;
+            const match = element.tagName.match(/^H([1-6])$/);
+            return match ? Number(match[1]) : 0;
+        }
+        default:
+            return undefined;
+    }
+}
+
+// --- ACCESSIBLE NAME ---
+
+function getIdRefs(element, attribute) {
+    const ids = (element.getAttribute(attribute) || '').split(/\s+/).filter(Boolean);
+    const root = element.getRootNode();
+    return ids.map(id => root.getElementById(id)).filter(Boolean);
+}
+
+function normalizeAccessibleText(text) {
+    return text.replace(/[\u200b\u00ad]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function getPseudoContent(element, pseudo) {
+    const view = element.ownerDocument.defaultView;
+    if (!view) return '';
+    const content = view.getComputedStyle(element, pseudo).content;
+    const match = content && content.match(/^"(.*)"$/);
+    return match ? match[1] : '';
+}
+
+function isInlineElement(element) {
+    const style = getElementStyle(element);
+    return !style || !style.display || style.display === 'inline' || style.display === 'contents';
+}
+
+function getSelectedOptionsText(element) {
+    const options = element.tagName === 'SELECT'
+        ? Array.from(element.selectedOptions)
+        : Array.from(element.querySelectorAll('[role="option"][aria-selected="true"]'));
+    return options.map(option => option.textContent).join(' ');
+}
+
+/**
+ * Computes the text alternative of a node (accname 1.2, section 4.3.2).
+ * `context` tracks the traversal: the visited set, whether we arrived through aria-labelledby or a
+ * <label>, and whether the node is being used to build a name from content.
+ */
+function computeTextAlternative(element, context) {
+    if (context.visited.has(element)) return '';
+    context.visited.add(element);
+
+    // 2A: hidden nodes contribute nothing unless they were referenced directly.
+    if (!context.includeHidden && !context.referenced && isElementHiddenForAria(element)) return '';
+
+    // 2B: aria-labelledby, unless we are already following a reference. An element may reference itself to
+    // add its own content, e.g. aria-labelledby="delete-label self".
+    if (!context.inLabelledBy) {
+        const labelledBy = getIdRefs(element, 'aria-labelledby');
+        if (labelledBy.length > 0) {
+            const text = labelledBy
+                .map(ref => computeTextAlternative(ref, {
+                    ...context, inLabelledBy: true, referenced: true, fromContent: false, includeHidden: true,
+                    visited: ref === element ? new Set() : context.visited,
+                }))
+                .join(' ');
+            if (text.trim()) return text;
+        }
+    }
+
+    const role = getImplicitRole(element) || '';
+    const tagName = element.tagName.toUpperCase();
+
+    // 2C + 2E: controls embedded in a label or content contribute their value rather than their name.
+    if (context.fromContent || context.inLabelledBy) {
+        if (role === 'textbox' || role === 'searchbox') {
+            return tagName === 'INPUT' || tagName === 'TEXTAREA' ? element.value : element.textContent;
+        }
+        if (role === 'combobox' || role === 'listbox') return getSelectedOptionsText(element);
+        if (['slider', 'spinbutton', 'progressbar', 'scrollbar', 'meter'].includes(role)) {
+            return element.getAttribute('aria-valuetext') || element.getAttribute('aria-valuenow') || element.value || '';
+        }
+    }
+
+    // 2D: aria-label.
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.trim()) return ariaLabel;
+
+    // 2D: native host-language labels, skipped for presentational elements.
+    if (role !== 'none' && role !== 'presentation') {
+        const nativeName = getNativeTextAlternative(element, tagName, context);
+        if (nativeName) return nativeName;
+    }
+
+    // 2F: name from content.
+    const allowsContent = NAME_FROM_CONTENT_ROLES.includes(role)
+        || context.inLabelledBy || context.inLabel
+        || (context.fromContent && (!role || NAME_FROM_CONTENT_DESCENDANT_ROLES.includes(role)));
+    if (allowsContent) {
+        const text = getTextFromContent(element, context);
+        if (text.trim()) return text;
+    }
+
+    // 2I: tooltip.
+    const title = element.getAttribute('title');
+    if (title && title.trim()) return title;
+    if (tagName === 'INPUT' || tagName === 'TEXTAREA') return element.getAttribute('placeholder') || '';
+    return '';
+}
+
+function getNativeTextAlternative(element, tagName, context) {
+    if (tagName === 'INPUT') {
+        const type = (element.type || 'text').toLowerCase();
+        if (['button', 'submit', 'reset'].includes(type)) {
+            if (element.value) return element.value;
+            if (type === 'submit') return 'Submit';
+            if (type === 'reset') return 'Reset';
+            return '';
+        }
+        if (type === 'image') return element.getAttribute('alt') || element.getAttribute('title') || 'Submit';
+    }
+
+    if (!context.inLabel && element.labels && element.labels.length > 0) {
+        const text = Array.from(element.labels)
+            .map(label => computeTextAlternative(label, { ...context, inLabel: true, fromContent: true, visited: new Set([element]) }))
+            .join(' ');
+        if (text.trim()) return text;
+    }
+
+    if (tagName === 'FIELDSET') {
+        const legend = Array.from(element.children).find(child => child.tagName === 'LEGEND');
+        if (legend) return computeTextAlternative(legend, { ...context, fromContent: true });
+    }
+    if (tagName === 'FIGURE') {
+        const figcaption = Array.from(element.children).find(child => child.tagName === 'FIGCAPTION');
+        if (figcaption) return computeTextAlternative(figcaption, { ...context, fromContent: true });
+    }
+    if (tagName === 'TABLE') {
+        const caption = Array.from(element.children).find(child => child.tagName === 'CAPTION');
+        if (caption) return computeTextAlternative(caption, { ...context, fromContent: true });
+        if (element.getAttribute('summary')) return element.getAttribute('summary');
+    }
+    if (tagName === 'IMG' || tagName === 'AREA') {
+        return element.getAttribute('alt') || '';
+    }
+    if (tagName === 'SVG') {
+        const svgTitle = Array.from(element.children).find(child => child.tagName.toLowerCase() === 'title');
+        if (svgTitle) return svgTitle.textContent;
+    }
+    return '';
+}
+
+function getTextFromContent(element, context) {
+    const parts = [getPseudoContent(element, '::before')];
+    const childContext = { ...context, fromContent: true, referenced: false };
+    const childNodes = element.shadowRoot ? element.shadowRoot.childNodes : element.childNodes;
+    for (const child of childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+            parts.push(child.textContent);
+        } else if (child.nodeType === Node.ELEMENT_NODE) {
+            const slotted = child.tagName === 'SLOT' ? child.assignedNodes({ flatten: true }) : [child];
+            for (const node of slotted) {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    parts.push(node.textContent);
+                    continue;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) continue;
+                const text = computeTextAlternative(node, childContext);
+                parts.push(isInlineElement(node) ? text : ` ${text} `);
+            }
+        }
+    }
+    parts.push(getPseudoContent(element, '::after'));
+    return parts.join('');
+}
+
+/**
+ * Returns the accessible name of an element, normalized the way Playwright compares it in getByRole().
+ * Hidden elements have an empty name unless `includeHidden` is set.
+ */
+function getAccessibleName(element, includeHidden = false) {
+    return normalizeAccessibleText(computeTextAlternative(element, { visited: new Set(), includeHidden }));
+}
+
+/**
+ * Returns the label texts getByLabel() matches against: aria-labelledby, aria-label and associated <label>s.
+ */
+function getLabelTexts(element) {
+    const labels = [];
+    const labelledBy = getIdRefs(element, 'aria-labelledby');
+    if (labelledBy.length > 0) {
+        labels.push(labelledBy
+            .map(ref => computeTextAlternative(ref, { visited: new Set(), inLabelledBy: true, referenced: true, includeHidden: true }))
+            .join(' '));
+    }
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel) labels.push(ariaLabel);
+    if (element.labels) {
+        Array.from(element.labels).forEach(label => labels.push(label.innerText || label.textContent));
+    }
+    return labels.map(normalizeAccessibleText).filter(Boolean);
+}
@@ -0,0 +1,115 @@
+/**
+ * @file assertion-snippets.js
+ * Suggests web-first assertions for a picked element from its live state: visibility, text, value, checked
+ * and disabled state, an attribute, the match count of an ambiguous locator and, for links, the URL the page
+ * should reach. Each snippet is { matcher, label, code }, where `code` is a complete statement in the chosen
+ * framework, built on the best generated locator:
+ *   { matcher: 'toHaveValue', label: 'Has its current value', code: 'expect(page.get_by_label("Email")).to_have_value("a@b.c")' }
+ */
+
+// --- CONSTANTS ---
+
+// Longer texts are asserted with toContainText() on their first words.
+const MAX_ASSERTED_TEXT_LENGTH = 80;
+const CONTAINED_TEXT_LENGTH = 40;
+// Attributes worth asserting, best first: state that changes as the user interacts, then identifying ones.
+const ASSERTED_ATTRIBUTES = ['aria-expanded', 'aria-selected', 'aria-pressed', 'aria-current', 'href', 'type', 'name', 'placeholder', 'title', 'alt'];
+// Elements and roles that can be disabled, so toBeEnabled() says something about them.
+const DISABLEABLE_TAGS = ['BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'];
+const DISABLEABLE_ROLES = ['button', 'checkbox', 'combobox', 'menuitem', 'option', 'radio', 'slider', 'switch', 'tab', 'textbox'];
+const CHECKABLE_ROLES = ['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio'];
+// Inputs whose value isn't typed text.
+const VALUELESS_INPUT_TYPES = ['checkbox', 'radio', 'button', 'submit', 'reset', 'image', 'file', 'hidden'];
+
+// --- ELEMENT STATE ---
+
+function hasAssertableValue(element) {
+    if (element.tagName === 'TEXTAREA') return true;
+    if (element.tagName === 'SELECT') return !element.multiple;
+    return element.tagName === 'INPUT' && !VALUELESS_INPUT_TYPES.includes(element.type);
+}
+
+/**
+ * Returns the text assertion for `text`: toHaveText() with the whole text, or toContainText() with its first
+ * words when it is too long to read in a test.
+ */
+function getTextAssertion(text) {
+    if (text.length <= MAX_ASSERTED_TEXT_LENGTH) return { matcher: 'toHaveText', label: 'Has its current text', text };
+    const words = text.slice(0, CONTAINED_TEXT_LENGTH + 1).split(' ');
+    const start = words.length > 1 ? words.slice(0, -1).join(' ') : text.slice(0, CONTAINED_TEXT_LENGTH);
+    return { matcher: 'toContainText', label: 'Starts with its current text', text: start };
+}
+
+function getAssertedAttribute(element) {
+    const name = ASSERTED_ATTRIBUTES.find(attribute => (
+        element.hasAttribute(attribute) && isStableAttributeValue(attribute, element.getAttribute(attribute))
+    ));
+    return name ? { name, value: element.getAttribute(name) } : null;
+}
+
+// The URL a click on the link takes the page to, or null when it opens in another frame, tab or window.
+function getLinkDestination(element) {
+    const link = closestComposed(element, 'a[href], area[href]');
+    if (!link || window !== window.top || getFrameChain(element).length > 0) return null;
+    if (link.target && link.target !== '_self' && link.target !== '_top') return null;
+    if (!/^https?:$/.test(link.protocol) || link.hasAttribute('download')) return null;
+    return link.href;
+}
+
+/**
+ * Returns the locator to assert the picked element's own state on: the candidate's chain, narrowed with
+ * nth() when it matches more than one element, since assertions on an element are strict.
+ */
+function getPickedElementChain(element, candidate) {
+    if (candidate.matchCount === 1) return candidate.chain;
+    const frameStepCount = candidate.chain.steps.filter(step => step.method === 'frameLocator').length;
+    const ownChain = { steps: candidate.chain.steps.slice(frameStepCount) };
+    const index = evaluateGeneratedLocator(ownChain, element.ownerDocument).indexOf(element);
+    if (index < 0) return candidate.chain;
+    return { steps: candidate.chain.steps.concat({ method: 'nth', args: [index], options: {} }) };
+}
+
+// --- PUBLIC API ---
+
+/**
+ * Returns assertion snippets for `element` built on `candidate`, the best of its generated locators, most
+ * useful first. `matcher` may be negated ('not.toBeChecked').
+ */
+function generateAssertionSnippets(element, candidate, framework) {
+    const snippets = [];
+    const add = (matcher, label, args = [], chain = getPickedElementChain(element, candidate)) => {
+        snippets.push({ matcher, label, code: emitStatement(emitAssertion(chain, matcher, args, framework), framework) });
+    };
+    const role = getImplicitRole(element);
+
+    if (candidate.matchCount > 1) {
+        add('toHaveCount', `Locator matches ${candidate.matchCount} elements`, [candidate.matchCount], candidate.chain);
+    }
+    if (isElementVisible(element)) add('toBeVisible', 'Is visible');
+    else add('toBeHidden', 'Is hidden');
+
+    if (hasAssertableValue(element)) {
+        add('toHaveValue', 'Has its current value', [element.value]);
+    } else {
+        const text = normalizeWhiteSpace(getElementText(element));
+        if (text) {
+            const { matcher, label, text: expected } = getTextAssertion(text);
+            add(matcher, label, [expected]);
+        }
+    }
+
+    if (CHECKABLE_ROLES.includes(role)) {
+        const checked = getAriaState(element, 'checked');
+        if (checked === true) add('toBeChecked', 'Is checked');
+        else if (checked === false) add('not.toBeChecked', 'Is not checked');
+    }
+    if (getAriaState(element, 'disabled')) add('toBeDisabled', 'Is disabled');
+    else if (DISABLEABLE_TAGS.includes(element.tagName) || DISABLEABLE_ROLES.includes(role)) add('toBeEnabled', 'Is enabled');
+
+    const attribute = getAssertedAttribute(element);
+    if (attribute) add('toHaveAttribute', `Has ${attribute.name}="${attribute.value}"`, [attribute.name, attribute.value]);
+
+    const destination = getLinkDestination(element);
+    if (destination) add('toHaveURL', 'A click on it leads to its URL', [destination], null);
+    return snippets;
+}
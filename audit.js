@@ -0,0 +1,171 @@
+/**
+ * @file audit.js
+ * This script manages the Locator Audit side panel. It asks the content script (page-audit.js) to audit the
+ * active tab, shows the results as a sortable table and exports them as JSON or CSV.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    // === UI Elements ===
+    const scanButton = document.getElementById('scanButton');
+    const exportJsonButton = document.getElementById('exportJsonButton');
+    const exportCsvButton = document.getElementById('exportCsvButton');
+    const overlayToggle = document.getElementById('overlayToggle');
+    const messageDiv = document.getElementById('message');
+    const auditSummary = document.getElementById('auditSummary');
+    const auditTable = document.getElementById('auditTable');
+    const tableBody = auditTable.querySelector('tbody');
+
+    // Mirrors AUDIT_ISSUES in page-audit.js, which runs in the page rather than here.
+    const ISSUE_LABELS = {
+        cssFallback: 'CSS/XPath fallback only',
+        duplicateName: 'Duplicate accessible name',
+        missingTestId: 'Missing test id',
+    };
+
+    // === State Variables ===
+    let audit = null;
+    let auditTabId = null;
+    let auditUrl = '';
+    let sortKey = 'issues';
+    let sortAscending = false;
+
+    function showMessage(text, color) {
+        messageDiv.style.display = text ? 'block' : 'none';
+        messageDiv.textContent = text;
+        messageDiv.style.color = color;
+    }
+
+    function sendToAuditedTab(message, callback = () => {}) {
+        if (auditTabId === null) return;
+        chrome.tabs.sendMessage(auditTabId, message, response => {
+            if (chrome.runtime.lastError) {
+                showMessage('The audited page is no longer available. Scan again.', '#d9534f');
+                return;
+            }
+            callback(response);
+        });
+    }
+
+    // --- Scanning ---
+    scanButton.addEventListener('click', function() {
+        chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+            if (!tabs.length) return;
+            auditTabId = tabs[0].id;
+            auditUrl = tabs[0].url || '';
+            scanButton.disabled = true;
+            showMessage('Scanning...', '#718096');
+            chrome.storage.local.get(['selectedFramework'], function(result) {
+                const message = { action: MESSAGE_ACTIONS.auditPage, framework: result.selectedFramework || 'pytest', showOverlays: overlayToggle.checked };
+                chrome.tabs.sendMessage(auditTabId, message, function(response) {
+                    scanButton.disabled = false;
+                    if (chrome.runtime.lastError || !response) {
+                        showMessage('Error: Could not connect. Please refresh the page.', '#d9534f');
+                        return;
+                    }
+                    showMessage('', '');
+                    audit = response;
+                    exportJsonButton.disabled = false;
+                    exportCsvButton.disabled = false;
+                    render();
+                });
+            });
+        });
+    });
+
+    overlayToggle.addEventListener('change', function() {
+        if (!audit) return;
+        sendToAuditedTab({ action: MESSAGE_ACTIONS.setAuditOverlays, results: overlayToggle.checked ? audit.results : null });
+    });
+
+    // --- Table ---
+    auditTable.querySelectorAll('th[data-sort]').forEach(header => {
+        header.addEventListener('click', function() {
+            const key = header.dataset.sort;
+            sortAscending = key === sortKey ? !sortAscending : key !== 'issues';
+            sortKey = key;
+            render();
+        });
+    });
+
+    function compareResults(a, b) {
+        if (sortKey === 'index') return a.index - b.index;
+        if (sortKey === 'issues') return a.issues.length - b.issues.length || b.index - a.index;
+        return String(a[sortKey]).localeCompare(String(b[sortKey])) || a.index - b.index;
+    }
+
+    function render() {
+        const counts = Object.keys(ISSUE_LABELS).map(issue => ({
+            issue,
+            count: audit.results.filter(result => result.issues.includes(issue)).length,
+        }));
+        auditSummary.replaceChildren(...counts.map(({ issue, count }) => {
+            const badge = document.createElement('span');
+            badge.className = `badge badge-issue-${issue}`;
+            badge.textContent = `${ISSUE_LABELS[issue]}: ${count}`;
+            return badge;
+        }));
+        const total = document.createElement('p');
+        total.className = 'hint';
+        total.textContent = audit.truncated
+            ? `Audited the first ${audit.results.length} of ${audit.total} interactive elements.`
+            : `Audited ${audit.total} interactive elements.`;
+        auditSummary.prepend(total);
+
+        const sorted = audit.results.slice().sort((a, b) => (sortAscending ? 1 : -1) * compareResults(a, b));
+        tableBody.replaceChildren(...sorted.map(createResultRow));
+        auditTable.querySelectorAll('th[data-sort]').forEach(header => {
+            header.classList.toggle('sorted', header.dataset.sort === sortKey);
+            header.classList.toggle('ascending', header.dataset.sort === sortKey && sortAscending);
+        });
+        auditTable.style.display = 'table';
+    }
+
+    function createResultRow(result) {
+        const row = document.createElement('tr');
+        row.title = 'Click to scroll to this element';
+        const cells = [
+            String(result.index + 1),
+            `<${result.tag}>${result.role ? ` ${result.role}` : ''}${result.name ? ` "${result.name}"` : ''}`,
+            result.locator,
+        ].map(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            return cell;
+        });
+        cells[2].className = 'audit-locator';
+        const issuesCell = document.createElement('td');
+        result.issues.forEach(issue => {
+            const badge = document.createElement('span');
+            badge.className = `badge badge-issue-${issue}`;
+            badge.textContent = ISSUE_LABELS[issue];
+            issuesCell.appendChild(badge);
+        });
+        row.append(...cells, issuesCell);
+        row.addEventListener('click', () => sendToAuditedTab({ action: MESSAGE_ACTIONS.revealAuditedElement, index: result.index }));
+        return row;
+    }
+
+    // --- Export ---
+    function download(content, type, fileName) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    exportJsonButton.addEventListener('click', function() {
+        const report = { url: auditUrl, generatedAt: new Date().toISOString(), total: audit.total, results: audit.results };
+        download(JSON.stringify(report, null, 2), 'application/json', 'locator-audit.json');
+    });
+
+    exportCsvButton.addEventListener('click', function() {
+        // Names and locators come from the page; a leading `'` keeps a spreadsheet from running `=HYPERLINK(...)`.
+        const quote = value => `"${String(value).replace(/^[=+\-@\t\r]/, '\'$&').replace(/"/g, '""')}"`;
+        const header = ['index', 'tag', 'role', 'name', 'locator', 'strategy', 'match_count', 'issues'];
+        const rows = audit.results.map(result => [
+            result.index + 1, result.tag, result.role, result.name, result.locator, result.strategy, result.matchCount,
+            result.issues.map(issue => ISSUE_LABELS[issue]).join('; '),
+        ].map(quote).join(','));
+        download([header.join(','), ...rows].join('\r\n') + '\r\n', 'text/csv', 'locator-audit.csv');
+    });
+});
@@ -1,58 +1,253 @@
-let isPickingModeActive = {}; // Use an object to track state per tab
-
-chrome.action.onClicked.addListener((tab) => {
-    // Inject content.js if it's not already injected (idempotent operation)
-    chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['content.js']
-    }, () => {
-        if (chrome.runtime.lastError) {
-            console.error('Error injecting content script:', chrome.runtime.lastError.message);
-            return;
+/**
+ * @file background.js
+ * The service worker, which coordinates the extension through the protocol in messages.js. It starts picking
+ * in a tab for the popup and the keyboard shortcuts, re-verifies and copies the last locator from the history,
+ * serves the "Copy Playwright locator" context menu, owns the interaction recording and runs the optional
+ * local bridge (bridge.js).
+ */
+importScripts('messages.js', 'code-emitters.js', 'locator-history.js', 'test-script.js', 'bridge.js');
+
+// --- TABS ---
+
+function getSelectedFramework() {
+    return chrome.storage.local.get('selectedFramework')
+        .then(result => (CODE_EMITTERS[result.selectedFramework] ? result.selectedFramework : DEFAULT_FRAMEWORK));
+}
+
+// Content scripts run in the top frame only; they reach into same-origin iframes themselves.
+function sendToTab(tabId, message) {
+    return chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+}
+
+// --- PICKING ---
+// Pages opened before the extension was installed or updated have no content scripts until they are reloaded.
+
+function togglePicking(tabId, framework, purpose = 'locator') {
+    return sendToTab(tabId, { action: MESSAGE_ACTIONS.togglePickingMode, framework, purpose })
+        .catch(() => ({ status: "unavailable" }));
+}
+
+/**
+ * Returns the newest history entry from the tab's site, or the newest of all when the site has none.
+ */
+function getLastLocatorEntry(tab) {
+    const origin = /^(https?|file):/.test(tab.url || '') ? getHistoryOrigin(tab.url) : '';
+    return loadLocatorHistory().then(entries => entries.find(entry => entry.origin === origin) || entries[0] || null);
+}
+
+function reverifyLastLocator(tab) {
+    return getLastLocatorEntry(tab).then(entry => sendToTab(tab.id, {
+        action: MESSAGE_ACTIONS.verifyLocator,
+        locator: entry ? emitLocator(entry.chain, getVerifierFramework(entry.framework)) : null,
+        fingerprint: entry ? entry.fingerprint : null,
+    }));
+}
+
+function copyLastLocator(tab) {
+    return getLastLocatorEntry(tab).then(entry => sendToTab(tab.id, {
+        action: MESSAGE_ACTIONS.copyText,
+        text: entry ? emitLocator(entry.chain, entry.framework) : null,
+        framework: entry ? entry.framework : null,
+    }));
+}
+
+// --- KEYBOARD SHORTCUTS ---
+// Declared under "commands" in manifest.json; users can rebind them at chrome://extensions/shortcuts.
+
+const COMMAND_HANDLERS = {
+    'start-picking': tab => getSelectedFramework().then(framework => togglePicking(tab.id, framework)),
+    'reverify-last-locator': reverifyLastLocator,
+    'copy-last-locator': copyLastLocator,
+};
+
+chrome.commands.onCommand.addListener((command, tab) => {
+    const handler = COMMAND_HANDLERS[command];
+    if (!handler || !tab) return;
+    handler(tab).catch(error => console.warn(`Playwright Locator Assistant: "${command}" failed in tab ${tab.id}:`, error.message));
+});
+
+// --- CONTEXT MENU ---
+
+const COPY_LOCATOR_MENU_ID = 'copyLocator';
+
+function copyContextMenuLocator(info, tab) {
+    return getSelectedFramework().then(framework => sendToTab(tab.id, {
+        action: MESSAGE_ACTIONS.copyContextMenuLocator,
+        framework,
+        frameId: info.frameId || 0,
+    })).catch(() => {});
+}
+
+// --- INTERACTION RECORDER ---
+// The recording lives in chrome.storage.local as { tabId, active, framework, steps } so that it survives page
+// loads in the recorded tab, service-worker restarts and the popup being closed. Steps are appended here
+// only, one update at a time, because content.js sends them in quick succession.
+
+const RECORDING_STORAGE_KEY = 'recording';
+const RECORDER_MENU_ID = 'recorder';
+const RECORDER_MENU_ITEMS = {
+    recorderAssertVisible: { title: 'Assert visible', matcher: 'toBeVisible' },
+    recorderAssertText: { title: 'Assert has text', matcher: 'toHaveText' },
+};
+// Navigations the user started from the browser UI; link clicks and form submits are recorded as clicks.
+const RECORDED_NAVIGATION_TYPES = ['typed', 'auto_bookmark', 'generated', 'keyword', 'reload'];
+
+let recordingUpdate = Promise.resolve();
+
+function getRecording() {
+    return chrome.storage.local.get(RECORDING_STORAGE_KEY).then(result => result[RECORDING_STORAGE_KEY] || null);
+}
+
+function updateRecording(mutate) {
+    recordingUpdate = recordingUpdate
+        .then(getRecording)
+        .then(recording => {
+            const next = mutate(recording);
+            return next ? chrome.storage.local.set({ [RECORDING_STORAGE_KEY]: next }).then(() => next) : recording;
+        })
+        .catch(error => console.error('Error updating the recording:', error));
+    return recordingUpdate;
+}
+
+function setRecorderMenuVisible(visible) {
+    chrome.contextMenus.update(RECORDER_MENU_ID, { visible }, () => void chrome.runtime.lastError);
+}
+
+function startRecording(tab, framework) {
+    const firstStep = { kind: 'action', method: 'goto', chain: null, args: [tab.url] };
+    return updateRecording(() => ({ tabId: tab.id, active: true, framework, steps: [firstStep] })).then(() => {
+        setRecorderMenuVisible(true);
+        return sendToTab(tab.id, { action: MESSAGE_ACTIONS.setRecording, active: true, framework }).catch(() => {});
+    });
+}
+
+function stopRecording() {
+    return updateRecording(recording => recording && { ...recording, active: false }).then(recording => {
+        setRecorderMenuVisible(false);
+        if (recording) sendToTab(recording.tabId, { action: MESSAGE_ACTIONS.setRecording, active: false }).catch(() => {});
+    });
+}
+
+function appendRecordedStep(tabId, step, url) {
+    let appended = false;
+    return updateRecording(recording => {
+        if (!recording || !recording.active || recording.tabId !== tabId) return null;
+        appended = true;
+        return { ...recording, steps: [...recording.steps, step] };
+    }).then(recording => {
+        if (appended) {
+            const code = emitRecordedStep(step, recording.framework);
+            sendBridgeMessage({ type: 'stepRecorded', url, framework: recording.framework, code, step });
         }
+        return recording;
+    });
+}
 
-        // Toggle picking mode for the current tab
-        isPickingModeActive[tab.id] = !isPickingModeActive[tab.id];
-        const action = isPickingModeActive[tab.id] ? "enablePickingMode" : "disablePickingMode";
-
-        chrome.tabs.sendMessage(tab.id, { action: action, framework: 'pytest' }) // You can change 'pytest' to 'js' here if needed
-            .catch(error => {
-                // This catch handles errors if the content script is not yet ready,
-                // or if the tab navigated away, etc.
-                if (error.message.includes("Could not establish connection. Receiving end does not exist.")) {
-                    console.warn(`Content script not ready or page changed for tab ${tab.id}. Please refresh the page and try again.`);
-                    // Optionally, reset state if connection failed
-                    isPickingModeActive[tab.id] = false;
-                } else {
-                    console.error('Error sending message to content script:', error);
-                }
-            });
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.create({ id: COPY_LOCATOR_MENU_ID, title: 'Copy Playwright locator', contexts: ['all'] });
+    chrome.contextMenus.create({ id: RECORDER_MENU_ID, title: 'Playwright recorder', contexts: ['all'], visible: false });
+    Object.entries(RECORDER_MENU_ITEMS).forEach(([id, item]) => {
+        chrome.contextMenus.create({ id, parentId: RECORDER_MENU_ID, title: item.title, contexts: ['all'] });
     });
+    // An update re-creates the menus: keep them visible if a recording is still running.
+    getRecording().then(recording => setRecorderMenuVisible(Boolean(recording && recording.active)));
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (!tab) return;
+    if (info.menuItemId === COPY_LOCATOR_MENU_ID) {
+        copyContextMenuLocator(info, tab);
+        return;
+    }
+    const item = RECORDER_MENU_ITEMS[info.menuItemId];
+    if (!item) return;
+    sendToTab(tab.id, { action: MESSAGE_ACTIONS.recordAssertion, matcher: item.matcher }).catch(() => {});
 });
 
-// Listener for messages from content.js (e.g., when an element is picked)
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.action === "elementPickedAndGenerated") {
-        console.log("Locator generated:", message.locator);
-        // You could extend this to save to storage, send to an external service, etc.
-        // For now, it just logs and disables picking mode for the current tab
-        if (sender.tab && sender.tab.id) {
-            isPickingModeActive[sender.tab.id] = false; // Reset state after picking
-        }
+    switch (message.action) {
+        case MESSAGE_ACTIONS.startPicking:
+            togglePicking(message.tabId, message.framework, message.purpose).then(sendResponse);
+            return true;
+        case MESSAGE_ACTIONS.startRecording:
+            chrome.tabs.get(message.tabId)
+                .then(tab => startRecording(tab, message.framework))
+                .then(() => sendResponse({ status: "recording" }))
+                .catch(() => sendResponse({ status: "unavailable" }));
+            return true;
+        case MESSAGE_ACTIONS.stopRecording:
+            stopRecording()
+                .then(() => sendResponse({ status: "stopped" }))
+                .catch(() => sendResponse({ status: "unavailable" }));
+            return true;
+        case MESSAGE_ACTIONS.recordStep:
+            if (sender.tab) appendRecordedStep(sender.tab.id, message.step, sender.tab.url);
+            return false;
+        case MESSAGE_ACTIONS.changeLocatorHistory:
+            queueLocatorHistoryChange(message.change).then(() => sendResponse({ status: "ok" }));
+            return true;
+        case MESSAGE_ACTIONS.getRecordingState:
+            getRecording().then(recording => {
+                const active = Boolean(recording && recording.active && sender.tab && recording.tabId === sender.tab.id);
+                sendResponse({ active, framework: active ? recording.framework : null });
+            });
+            return true;
+        default:
+            return false;
     }
 });
 
-// Clean up state when a tab is closed or navigated away from
+chrome.webNavigation.onCommitted.addListener((details) => {
+    if (details.frameId !== 0 || !RECORDED_NAVIGATION_TYPES.includes(details.transitionType)) return;
+    const step = details.transitionType === 'reload'
+        ? { kind: 'action', method: 'reload', chain: null, args: [] }
+        : { kind: 'action', method: 'goto', chain: null, args: [details.url] };
+    appendRecordedStep(details.tabId, step, details.url);
+});
+
 chrome.tabs.onRemoved.addListener((tabId) => {
-    delete isPickingModeActive[tabId];
+    getRecording().then(recording => {
+        if (recording && recording.active && recording.tabId === tabId) stopRecording();
+    });
 });
 
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-    if (changeInfo.status === 'loading' && isPickingModeActive[tabId]) {
-        // If the page starts loading while picking mode is active, disable it
-        // This prevents lingering crosshair or incorrect state
-        isPickingModeActive[tabId] = false;
-        // Optionally, send a message to content.js to clean up if it's still alive
-        chrome.tabs.sendMessage(tabId, { action: "disablePickingMode" }).catch(() => {});
+// --- LOCAL BRIDGE ---
+// See bridge.js for the protocol. Picked locators and recorded steps are forwarded as they happen.
+
+function verifyForBridge(request) {
+    const findTab = request.tabId
+        ? chrome.tabs.get(request.tabId)
+        : chrome.tabs.query({ active: true, lastFocusedWindow: true }).then(tabs => tabs[0]);
+    return findTab.then(tab => {
+        if (!tab) throw new Error('There is no active tab to verify the locator in.');
+        return sendToTab(tab.id, { action: MESSAGE_ACTIONS.verifyLocator, locator: request.locator })
+            .catch(() => { throw new Error('The tab has no content script. Reload the page and try again.'); })
+            .then(result => ({ tabId: tab.id, url: tab.url, ...result }));
+    });
+}
+
+setBridgeRequestHandler(verifyForBridge);
+
+chrome.runtime.onMessage.addListener((message, sender) => {
+    if (message.action !== MESSAGE_ACTIONS.elementPicked) return false;
+    sendBridgeMessage({
+        type: 'locatorPicked',
+        url: sender.tab ? sender.tab.url : '',
+        framework: message.framework,
+        locator: message.locator,
+        candidates: (message.candidates || []).map(({ locator, label, score, matchCount }) => ({ locator, label, score, matchCount })),
+    });
+    return false;
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === BRIDGE_RETRY_ALARM) ensureBridgeConnected();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[BRIDGE_SETTINGS_STORAGE_KEY]) {
+        configureBridge(normalizeBridgeSettings(changes[BRIDGE_SETTINGS_STORAGE_KEY].newValue));
     }
-});
\ No newline at end of file
+});
+
+loadBridgeSettings().then(configureBridge);
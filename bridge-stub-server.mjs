@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * @file bridge-stub-server.mjs
+ * A stub endpoint for the extension's local bridge (see the protocol in bridge.js). It prints every message the
+ * extension sends, and turns each line typed on stdin into a verify request for the active tab. It speaks both
+ * transports on one port, so the bridge URL can be ws://localhost:8765 or http://localhost:8765. No
+ * dependencies; the WebSocket side implements just enough of RFC 6455 for the extension.
+ *
+ *   node bridge-stub-server.mjs                  listens on port 8765
+ *   node bridge-stub-server.mjs --port 9000      listens on port 9000
+ *   node bridge-stub-server.mjs --port 0         listens on a free port, which it prints
+ *
+ * Then type a locator, e.g. `page.get_by_role("button", name="Submit")`, and press Enter to verify it.
+ */
+import { createHash } from 'node:crypto';
+import { createServer } from 'node:http';
+import { createInterface } from 'node:readline';
+import { parseArgs } from 'node:util';
+
+const USAGE = `Usage:
+  node bridge-stub-server.mjs [--port <port>]
+
+Options:
+  --port <port>  the port to listen on (default 8765), or 0 for any free port`;
+
+const OPTIONS = {
+    port: { type: 'string', default: '8765' },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+// The magic string of the WebSocket handshake (RFC 6455, section 1.3).
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// A held HTTP poll is answered empty after this long, well before the extension's fetch gives up.
+const POLL_HOLD_MS = 25000;
+
+const sockets = new Set();
+const waitingPolls = new Set();
+let queuedRequests = [];
+let nextRequestId = 1;
+
+function fail(message, exitCode) {
+    console.error(message);
+    process.exit(exitCode);
+}
+
+// --- MESSAGES FROM THE EXTENSION ---
+
+function printMessage(message) {
+    switch (message.type) {
+        case 'hello':
+            console.log(`Extension ${message.extension} connected (protocol ${message.protocol}).`);
+            break;
+        case 'locatorPicked':
+            console.log(`Picked on ${message.url}:\n  ${message.locator}`);
+            break;
+        case 'stepRecorded':
+            console.log(`Recorded on ${message.url}:\n  ${message.code}`);
+            break;
+        case 'verifyResult':
+            if (message.error) console.log(`#${message.requestId}: ${message.error}`);
+            else console.log(`#${message.requestId}: ${message.count} match(es) on ${message.url}${message.strictModeViolation ? ' (not unique)' : ''}`);
+            if (message.healing) console.log(`  Suggested instead: ${message.healing.newLocator}`);
+            break;
+        case 'ping':
+        case 'poll':
+            break;
+        default:
+            console.log('Unknown message:', message);
+    }
+}
+
+function receive(text) {
+    try {
+        printMessage(JSON.parse(text));
+    } catch (error) {
+        console.log(`Ignoring a message that is not JSON: ${text}`);
+    }
+}
+
+// --- WEBSOCKET ---
+
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt16BE(payload.length, 2);
+        header[1] = 126;
+    } else {
+        header = Buffer.alloc(10);
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+        header[1] = 127;
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Reads the complete frames at the start of `buffer`. Returns { frames: [{ opcode, payload }], rest }, where
+ * `rest` is the start of a frame that hasn't fully arrived yet. Fragmented messages are not supported; the
+ * extension never sends them.
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length - offset < headerLength + maskLength + length) break;
+        const mask = buffer.subarray(offset + headerLength, offset + headerLength + maskLength);
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+        if (masked) payload.forEach((byte, i) => { payload[i] = byte ^ mask[i % 4]; });
+        frames.push({ opcode, payload });
+        offset += headerLength + maskLength + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    sockets.add(socket);
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', chunk => {
+        const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+        pending = rest;
+        frames.forEach(({ opcode, payload }) => {
+            if (opcode === 0x1) receive(payload.toString('utf8'));
+            else if (opcode === 0x9) socket.write(encodeFrame(0xa, payload));
+            else if (opcode === 0x8) socket.end(encodeFrame(0x8, payload.subarray(0, 2)));
+        });
+    });
+    socket.on('close', () => {
+        sockets.delete(socket);
+        console.log('A WebSocket client disconnected.');
+    });
+    socket.on('error', () => sockets.delete(socket));
+}
+
+// --- HTTP ---
+
+function answerPoll(response, requests) {
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ requests }));
+}
+
+function handleHttpRequest(request, response) {
+    if (request.method !== 'POST') {
+        response.writeHead(405, { Allow: 'POST' });
+        response.end();
+        return;
+    }
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+        receive(body);
+        let isPoll = false;
+        try {
+            isPoll = JSON.parse(body).type === 'poll';
+        } catch (error) {
+            // Already reported by receive().
+        }
+        if (!isPoll || queuedRequests.length > 0) {
+            answerPoll(response, queuedRequests);
+            queuedRequests = [];
+            return;
+        }
+        // Hold the poll until a request is typed, or answer it empty after POLL_HOLD_MS.
+        const poll = { response, timer: setTimeout(() => {
+            waitingPolls.delete(poll);
+            answerPoll(response, []);
+        }, POLL_HOLD_MS) };
+        waitingPolls.add(poll);
+        response.on('close', () => {
+            clearTimeout(poll.timer);
+            waitingPolls.delete(poll);
+        });
+    });
+}
+
+// --- REQUESTS FROM STDIN ---
+
+function sendVerifyRequest(locator) {
+    const request = { type: 'verify', requestId: nextRequestId++, locator };
+    if (sockets.size === 0 && waitingPolls.size === 0) {
+        console.log(`#${request.requestId} is queued until the extension polls.`);
+    }
+    const frame = encodeFrame(0x1, Buffer.from(JSON.stringify(request), 'utf8'));
+    sockets.forEach(socket => socket.write(frame));
+    const [poll] = waitingPolls;
+    if (poll) {
+        clearTimeout(poll.timer);
+        waitingPolls.delete(poll);
+        answerPoll(poll.response, [request]);
+    } else if (sockets.size === 0) {
+        queuedRequests.push(request);
+    }
+}
+
+function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({ options: OPTIONS });
+    } catch (error) {
+        fail(`${error.message}\n\n${USAGE}`, 2);
+    }
+    const { values } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) fail(`Invalid port "${values.port}".\n\n${USAGE}`, 2);
+
+    const server = createServer(handleHttpRequest);
+    server.on('upgrade', acceptWebSocket);
+    server.on('error', error => fail(`Cannot listen on port ${port}: ${error.message}`, 1));
+    // Bound to the loopback interface only: the bridge never talks to other machines.
+    server.listen(port, '127.0.0.1', () => {
+        const { port: boundPort } = server.address();
+        console.log(`Bridge stub listening on ws://localhost:${boundPort} and http://localhost:${boundPort}.`);
+        console.log('Type a locator and press Enter to verify it in the active tab.');
+    });
+
+    createInterface({ input: process.stdin }).on('line', line => {
+        if (line.trim()) sendVerifyRequest(line.trim());
+    });
+}
+
+main();
@@ -0,0 +1,232 @@
+/**
+ * @file bridge.js
+ * The local bridge: an optional connection from the background worker to a tool on this computer, such as an
+ * editor plugin or a paused Playwright test. It is off by default and configured on the Settings page; its
+ * settings live in chrome.storage.local as { enabled, url }. bridge-stub-server.mjs is a stub endpoint for
+ * trying it out.
+ *
+ * Protocol, version 1. Every message is a JSON object with a `type`:
+ *   extension -> endpoint
+ *     { type: "hello", protocol: 1, extension }        when a WebSocket connects; `extension` is its version
+ *     { type: "locatorPicked", url, framework, locator, candidates: [{ locator, label, score, matchCount }] }
+ *     { type: "stepRecorded", url, framework, code, step }   `code` is the step in `framework`
+ *     { type: "verifyResult", requestId, tabId, url, count, matches, strictModeViolation, healing, error }
+ *     { type: "ping" }                                 every 20 seconds over a WebSocket
+ *     { type: "poll" }                                 over HTTP only, see below
+ *   endpoint -> extension
+ *     { type: "verify", requestId, locator, tabId }    verifies `locator` (CSS or Playwright) in tab `tabId`,
+ *                                                      or in the active tab when it is omitted
+ * `matches`, `strictModeViolation` and `healing` are the Selector Verifier's (see findAndHighlight in
+ * content.js); `error` is set instead when the locator could not be evaluated.
+ *
+ * A ws:// or wss:// endpoint exchanges one message per text frame in both directions. An http:// or https://
+ * endpoint gets each message as a POST with a JSON body, and may answer any of them with
+ * { requests: [ ...verify requests ] }. The extension keeps one "poll" POST open at a time, so the endpoint
+ * can hold it until it has a request (long polling). Messages sent while the endpoint is unreachable are
+ * dropped; the bridge reconnects every 30 seconds.
+ */
+
+const BRIDGE_SETTINGS_STORAGE_KEY = 'bridgeSettings';
+const BRIDGE_STATUS_STORAGE_KEY = 'bridgeStatus';
+const BRIDGE_PROTOCOL_VERSION = 1;
+const DEFAULT_BRIDGE_SETTINGS = { enabled: false, url: 'ws://localhost:8765' };
+
+// The bridge never talks to other machines.
+const BRIDGE_HOSTS = ['localhost', '127.0.0.1'];
+const BRIDGE_PROTOCOLS = ['ws:', 'wss:', 'http:', 'https:'];
+
+const BRIDGE_KEEPALIVE_MS = 20000;
+// An endpoint that answers polls straight away is polled at most this often.
+const BRIDGE_POLL_INTERVAL_MS = 1000;
+const BRIDGE_RETRY_ALARM = 'bridgeRetry';
+
+// --- SETTINGS ---
+
+/**
+ * Returns why `url` can't be used as the bridge endpoint, or null when it can.
+ */
+function validateBridgeUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'Enter a full URL, e.g. ws://localhost:8765.';
+    }
+    if (!BRIDGE_PROTOCOLS.includes(parsed.protocol)) return 'Use a ws://, wss://, http:// or https:// URL.';
+    if (!BRIDGE_HOSTS.includes(parsed.hostname)) return 'The bridge only connects to this computer: use localhost or 127.0.0.1.';
+    return null;
+}
+
+function isHttpBridgeUrl(url) {
+    return /^https?:/.test(url);
+}
+
+function normalizeBridgeSettings(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const url = typeof source.url === 'string' && source.url.trim() ? source.url.trim() : DEFAULT_BRIDGE_SETTINGS.url;
+    return { enabled: source.enabled === true && validateBridgeUrl(url) === null, url };
+}
+
+function loadBridgeSettings() {
+    return chrome.storage.local.get(BRIDGE_SETTINGS_STORAGE_KEY)
+        .then(result => normalizeBridgeSettings(result[BRIDGE_SETTINGS_STORAGE_KEY]));
+}
+
+function saveBridgeSettings(settings) {
+    const normalized = normalizeBridgeSettings(settings);
+    return chrome.storage.local.set({ [BRIDGE_SETTINGS_STORAGE_KEY]: normalized }).then(() => normalized);
+}
+
+// --- CONNECTION ---
+// Used by background.js only. `bridgeGeneration` changes on every reconfiguration, so callbacks of an old
+// connection can tell they are stale.
+
+let bridgeSettings = DEFAULT_BRIDGE_SETTINGS;
+let bridgeState = 'off';
+let bridgeGeneration = 0;
+let bridgeSocket = null;
+let bridgeKeepalive = null;
+let bridgePolling = false;
+let bridgeRequestHandler = () => Promise.reject(new Error('The extension is not ready for requests yet.'));
+
+/**
+ * Records the bridge's state ('off', 'connecting', 'connected' or 'disconnected') for the Settings page.
+ */
+function setBridgeStatus(state, detail = '') {
+    bridgeState = state;
+    chrome.storage.local.set({
+        [BRIDGE_STATUS_STORAGE_KEY]: { state, detail, url: bridgeSettings.url, timestamp: Date.now() },
+    });
+}
+
+/**
+ * Sets the function that answers verify requests. It gets the request and resolves with the fields of the
+ * "verifyResult" reply.
+ */
+function setBridgeRequestHandler(handler) {
+    bridgeRequestHandler = handler;
+}
+
+function disconnectBridge() {
+    bridgeGeneration++;
+    clearInterval(bridgeKeepalive);
+    bridgeKeepalive = null;
+    if (bridgeSocket) bridgeSocket.close();
+    bridgeSocket = null;
+    bridgePolling = false;
+}
+
+function handleBridgeRequest(request) {
+    if (!request || request.type !== 'verify') return;
+    const reply = fields => sendBridgeMessage({ type: 'verifyResult', requestId: request.requestId, ...fields });
+    Promise.resolve()
+        .then(() => {
+            if (typeof request.locator !== 'string' || !request.locator.trim()) throw new Error('A verify request needs a locator.');
+            return bridgeRequestHandler(request);
+        })
+        .then(reply)
+        .catch(error => reply({ count: 0, error: error.message }));
+}
+
+function connectBridgeSocket() {
+    const generation = bridgeGeneration;
+    const socket = new WebSocket(bridgeSettings.url);
+    bridgeSocket = socket;
+    setBridgeStatus('connecting');
+    socket.addEventListener('open', () => {
+        setBridgeStatus('connected');
+        sendBridgeMessage({ type: 'hello', protocol: BRIDGE_PROTOCOL_VERSION, extension: chrome.runtime.getManifest().version });
+        // An idle service worker is stopped after 30 seconds; traffic on the socket keeps it running.
+        bridgeKeepalive = setInterval(() => sendBridgeMessage({ type: 'ping' }), BRIDGE_KEEPALIVE_MS);
+    });
+    socket.addEventListener('message', event => {
+        try {
+            handleBridgeRequest(JSON.parse(event.data));
+        } catch (error) {
+            console.warn('Playwright Locator Assistant: ignoring a bridge message that is not JSON:', event.data);
+        }
+    });
+    socket.addEventListener('close', event => {
+        if (generation !== bridgeGeneration) return;
+        clearInterval(bridgeKeepalive);
+        bridgeKeepalive = null;
+        bridgeSocket = null;
+        setBridgeStatus('disconnected', event.reason || 'The endpoint is not reachable. Retrying every 30 seconds.');
+    });
+}
+
+function postBridgeMessage(message) {
+    return fetch(bridgeSettings.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(message),
+    })
+        .then(response => {
+            if (!response.ok) throw new Error(`The endpoint answered with HTTP ${response.status}.`);
+            return response.text();
+        })
+        .then(text => {
+            const body = text ? JSON.parse(text) : {};
+            if (body && Array.isArray(body.requests)) body.requests.forEach(handleBridgeRequest);
+        });
+}
+
+function pollBridge() {
+    const generation = bridgeGeneration;
+    if (bridgePolling || !bridgeSettings.enabled || !isHttpBridgeUrl(bridgeSettings.url)) return;
+    bridgePolling = true;
+    const startedAt = Date.now();
+    postBridgeMessage({ type: 'poll' })
+        .then(() => {
+            if (generation !== bridgeGeneration) return;
+            setBridgeStatus('connected');
+            bridgePolling = false;
+            setTimeout(pollBridge, Math.max(0, BRIDGE_POLL_INTERVAL_MS - (Date.now() - startedAt)));
+        })
+        .catch(error => {
+            if (generation !== bridgeGeneration) return;
+            bridgePolling = false;
+            setBridgeStatus('disconnected', `${error.message} Retrying every 30 seconds.`);
+        });
+}
+
+/**
+ * Connects to the endpoint unless the bridge is off or already connected. Called on reconfiguration and by
+ * the retry alarm.
+ */
+function ensureBridgeConnected() {
+    if (!bridgeSettings.enabled) return;
+    if (isHttpBridgeUrl(bridgeSettings.url)) pollBridge();
+    else if (!bridgeSocket) connectBridgeSocket();
+}
+
+function configureBridge(settings) {
+    disconnectBridge();
+    bridgeSettings = settings;
+    if (!settings.enabled) {
+        chrome.alarms.clear(BRIDGE_RETRY_ALARM);
+        setBridgeStatus('off');
+        return;
+    }
+    chrome.alarms.create(BRIDGE_RETRY_ALARM, { periodInMinutes: 0.5 });
+    setBridgeStatus('connecting');
+    ensureBridgeConnected();
+}
+
+/**
+ * Sends a protocol message to the endpoint. Does nothing while the bridge is off or disconnected.
+ */
+function sendBridgeMessage(message) {
+    if (!bridgeSettings.enabled) return;
+    if (isHttpBridgeUrl(bridgeSettings.url)) {
+        const generation = bridgeGeneration;
+        postBridgeMessage(message).catch(error => {
+            // Warn once when the endpoint goes away, not for every message dropped until it is back.
+            if (generation !== bridgeGeneration || bridgeState === 'disconnected') return;
+            console.warn('Playwright Locator Assistant: bridge message not delivered:', error.message);
+            setBridgeStatus('disconnected', `${error.message} Retrying every 30 seconds.`);
+        });
+    } else if (bridgeSocket && bridgeSocket.readyState === WebSocket.OPEN) {
+        bridgeSocket.send(JSON.stringify(message));
+    }
+}
@@ -0,0 +1,276 @@
+/**
+ * @file code-emitters.js
+ * Code emitters turn a locator chain - the same { steps } structure locator-parser.js produces - into source
+ * code for one Playwright language binding. Every locator string shown to the user is produced here, so
+ * supporting another language means adding one entry to CODE_EMITTERS.
+ */
+
+// --- STRING LITERALS ---
+
+const COMMON_STRING_ESCAPES = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+/**
+ * Returns a function that writes a double-quoted string literal. `escapeControl` receives the char code of
+ * any other control character (and U+2028/U+2029) and returns its escape sequence.
+ */
+function createStringQuoter(escapeControl) {
+    return value => '"' + Array.from(String(value), ch => {
+        if (COMMON_STRING_ESCAPES[ch]) return COMMON_STRING_ESCAPES[ch];
+        const code = ch.charCodeAt(0);
+        const isControl = code < 0x20 || code === 0x7f || code === 0x2028 || code === 0x2029;
+        return isControl ? escapeControl(code) : ch;
+    }).join('') + '"';
+}
+
+const hexEscape = (prefix, width) => code => prefix + code.toString(16).padStart(width, '0');
+
+const quotePython = createStringQuoter(code => (code > 0xff ? hexEscape('\\u', 4)(code) : hexEscape('\\x', 2)(code)));
+const quoteJavaScript = createStringQuoter(hexEscape('\\u', 4));
+// Java translates \uXXXX escapes before it tokenizes, so \u000a would end the literal: use octal escapes instead.
+const quoteJava = createStringQuoter(code => (code > 0xff ? String.fromCharCode(code) : '\\' + code.toString(8).padStart(3, '0')));
+const quoteCSharp = createStringQuoter(hexEscape('\\u', 4));
+
+// --- HELPERS ---
+
+// Steps that are properties rather than method calls in Python and C#.
+const PROPERTY_STEPS = ['first', 'last', 'contentFrame'];
+
+const toSnakeCase = name => name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/([A-Z])([A-Z][a-z])/g, '$1_$2').toLowerCase();
+const toPascalCase = name => name.charAt(0).toUpperCase() + name.slice(1);
+
+function isLocatorChain(value) {
+    return Boolean(value && Array.isArray(value.steps));
+}
+
+/**
+ * Returns the flags of a JS RegExp that the other languages can express, as { i, s, m } booleans.
+ */
+function getPortableRegexFlags(regex) {
+    return { i: regex.flags.includes('i'), s: regex.flags.includes('s'), m: regex.flags.includes('m') };
+}
+
+// Escapes the unescaped double quotes of a regex source so it fits in a Python r"..." literal.
+function toPythonRawString(source) {
+    return 'r"' + source.replace(/(\\*)"/g, (match, slashes) => (slashes.length % 2 ? match : `${slashes}\\"`)) + '"';
+}
+
+// --- EMITTERS ---
+
+function createPythonEmitter(label, awaitKeyword) {
+    const emitter = {
+        label,
+        receiver: 'page',
+        commentPrefix: '#',
+        parsedByVerifier: true,
+        awaitKeyword,
+        statementEnd: '',
+        value(value) {
+            if (typeof value === 'string') return quotePython(value);
+            if (typeof value === 'boolean') return value ? 'True' : 'False';
+            if (value === null || value === undefined) return 'None';
+            if (value instanceof RegExp) {
+                const flags = getPortableRegexFlags(value);
+                const names = [flags.i && 're.IGNORECASE', flags.s && 're.DOTALL', flags.m && 're.MULTILINE'].filter(Boolean);
+                return `re.compile(${[toPythonRawString(value.source), names.join(' | ')].filter(Boolean).join(', ')})`;
+            }
+            if (Array.isArray(value)) return `[${value.map(item => emitter.value(item)).join(', ')}]`;
+            if (isLocatorChain(value)) return emitLocatorWith(emitter, value);
+            return String(value);
+        },
+        step(step) {
+            const name = toSnakeCase(step.method) + (['and', 'or'].includes(step.method) ? '_' : '');
+            if (PROPERTY_STEPS.includes(step.method)) return name;
+            const args = step.args.map(arg => emitter.value(arg))
+                .concat(Object.entries(step.options).map(([key, value]) => `${toSnakeCase(key)}=${emitter.value(value)}`));
+            return `${name}(${args.join(', ')})`;
+        },
+        action: (target, method, args) => `${target}.${toSnakeCase(method)}(${args.map(emitter.value).join(', ')})`,
+        assertion: (target, matcher, args, negated) => `expect(${target}).${negated ? 'not_' : ''}${toSnakeCase(matcher)}(${args.map(emitter.value).join(', ')})`,
+    };
+    return emitter;
+}
+
+const javaScriptEmitter = {
+    label: 'JavaScript / TypeScript',
+    receiver: 'page',
+    commentPrefix: '//',
+    parsedByVerifier: true,
+    awaitKeyword: 'await ',
+    statementEnd: ';',
+    value(value) {
+        if (typeof value === 'string') return quoteJavaScript(value);
+        if (value === null || value === undefined) return 'null';
+        if (value instanceof RegExp) return `/${value.source}/${value.flags.replace(/[gy]/g, '')}`;
+        if (Array.isArray(value)) return `[${value.map(item => javaScriptEmitter.value(item)).join(', ')}]`;
+        if (isLocatorChain(value)) return emitLocatorWith(javaScriptEmitter, value);
+        return String(value);
+    },
+    step(step) {
+        const args = step.args.map(arg => javaScriptEmitter.value(arg));
+        const options = Object.entries(step.options).map(([key, value]) => `${key}: ${javaScriptEmitter.value(value)}`);
+        if (options.length > 0) args.push(`{ ${options.join(', ')} }`);
+        return `${step.method}(${args.join(', ')})`;
+    },
+    action: (target, method, args) => `${target}.${method}(${args.map(javaScriptEmitter.value).join(', ')})`,
+    assertion: (target, matcher, args, negated) => `expect(${target}).${negated ? 'not.' : ''}${matcher}(${args.map(javaScriptEmitter.value).join(', ')})`,
+};
+
+// Java methods whose names differ from the other bindings.
+const JAVA_METHOD_NAMES = { goto: 'navigate' };
+
+const javaEmitter = {
+    label: 'Java',
+    receiver: 'page',
+    commentPrefix: '//',
+    awaitKeyword: '',
+    statementEnd: ';',
+    value(value) {
+        if (typeof value === 'string') return quoteJava(value);
+        if (value === null || value === undefined) return 'null';
+        if (value instanceof RegExp) {
+            const flags = getPortableRegexFlags(value);
+            const names = [flags.i && 'Pattern.CASE_INSENSITIVE', flags.s && 'Pattern.DOTALL', flags.m && 'Pattern.MULTILINE'].filter(Boolean);
+            return `Pattern.compile(${[quoteJava(value.source), names.join(' | ')].filter(Boolean).join(', ')})`;
+        }
+        if (Array.isArray(value)) return `new String[] {${value.map(item => javaEmitter.value(item)).join(', ')}}`;
+        if (isLocatorChain(value)) return emitLocatorWith(javaEmitter, value);
+        return String(value);
+    },
+    // Java options are builder objects named after the receiver and the method, e.g. Locator.GetByRoleOptions.
+    step(step, receiverType) {
+        const args = step.args.map((arg, index) => (
+            step.method === 'getByRole' && index === 0 ? `AriaRole.${String(arg).toUpperCase()}` : javaEmitter.value(arg)
+        ));
+        const options = Object.entries(step.options);
+        if (options.length > 0) {
+            const optionsClass = `${step.method === 'filter' ? 'Locator' : receiverType}.${toPascalCase(step.method)}Options`;
+            const setters = options.map(([key, value]) => `.set${toPascalCase(key)}(${javaEmitter.value(value)})`).join('');
+            args.push(`new ${optionsClass}()${setters}`);
+        }
+        return `${step.method}(${args.join(', ')})`;
+    },
+    action: (target, method, args) => `${target}.${JAVA_METHOD_NAMES[method] || method}(${args.map(javaEmitter.value).join(', ')})`,
+    // Java assertions read as sentences: toBeVisible() becomes isVisible(), toHaveText() becomes hasText().
+    assertion: (target, matcher, args, negated) => {
+        const name = matcher.replace(/^toBe/, 'is').replace(/^toHave/, 'has').replace(/^toContain/, 'contains');
+        return `assertThat(${target}).${negated ? 'not().' : ''}${name}(${args.map(javaEmitter.value).join(', ')})`;
+    },
+};
+
+const cSharpEmitter = {
+    label: 'C# (.NET)',
+    receiver: 'Page',
+    commentPrefix: '//',
+    awaitKeyword: 'await ',
+    statementEnd: ';',
+    value(value) {
+        if (typeof value === 'string') return quoteCSharp(value);
+        if (value === null || value === undefined) return 'null';
+        if (value instanceof RegExp) {
+            const flags = getPortableRegexFlags(value);
+            const names = [flags.i && 'RegexOptions.IgnoreCase', flags.s && 'RegexOptions.Singleline', flags.m && 'RegexOptions.Multiline'].filter(Boolean);
+            return `new Regex(${[quoteCSharp(value.source), names.join(' | ')].filter(Boolean).join(', ')})`;
+        }
+        if (Array.isArray(value)) return `new[] { ${value.map(item => cSharpEmitter.value(item)).join(', ')} }`;
+        if (isLocatorChain(value)) return emitLocatorWith(cSharpEmitter, value);
+        return String(value);
+    },
+    step(step) {
+        const name = toPascalCase(step.method);
+        if (PROPERTY_STEPS.includes(step.method)) return name;
+        const args = step.args.map((arg, index) => (
+            step.method === 'getByRole' && index === 0 ? `AriaRole.${toPascalCase(String(arg))}` : cSharpEmitter.value(arg)
+        ));
+        const options = Object.entries(step.options).map(([key, value]) => `${toPascalCase(key)} = ${cSharpEmitter.value(value)}`);
+        if (options.length > 0) args.push(`new() { ${options.join(', ')} }`);
+        return `${name}(${args.join(', ')})`;
+    },
+    action: (target, method, args) => `${target}.${toPascalCase(method)}Async(${args.map(cSharpEmitter.value).join(', ')})`,
+    assertion: (target, matcher, args, negated) => `Expect(${target}).${negated ? 'Not.' : ''}${toPascalCase(matcher)}Async(${args.map(cSharpEmitter.value).join(', ')})`,
+};
+
+// Keyed by the framework id stored in chrome.storage.local as `selectedFramework`.
+const CODE_EMITTERS = {
+    pytest: createPythonEmitter('Python (sync)', ''),
+    'python-async': createPythonEmitter('Python (async)', 'await '),
+    js: javaScriptEmitter,
+    java: javaEmitter,
+    csharp: cSharpEmitter,
+};
+
+const DEFAULT_FRAMEWORK = 'pytest';
+
+// --- PUBLIC API ---
+
+function getCodeEmitter(framework) {
+    return CODE_EMITTERS[framework] || CODE_EMITTERS[DEFAULT_FRAMEWORK];
+}
+
+function emitLocatorWith(emitter, chain) {
+    let code = emitter.receiver;
+    let receiverType = 'Page';
+    chain.steps.forEach(step => {
+        code += '.' + emitter.step(step, receiverType);
+        receiverType = ['frameLocator', 'contentFrame'].includes(step.method) ? 'FrameLocator' : 'Locator';
+    });
+    return code;
+}
+
+/**
+ * Returns the source code of a locator chain in the given framework's syntax.
+ */
+function emitLocator(chain, framework) {
+    return emitLocatorWith(getCodeEmitter(framework), chain);
+}
+
+/**
+ * Returns an action call such as `page.get_by_role("button").click()`. `chain` may be null for page-level
+ * actions like goto(). `method` and `matcher` names are given in their JavaScript spelling.
+ */
+function emitAction(chain, method, args, framework) {
+    const emitter = getCodeEmitter(framework);
+    return emitter.action(chain ? emitLocatorWith(emitter, chain) : emitter.receiver, method, args);
+}
+
+/**
+ * Returns a web-first assertion such as `expect(page.get_by_text("Saved")).to_be_visible()`. A `not.` prefix
+ * negates the matcher: 'not.toBeChecked' becomes `expect(...).not_to_be_checked()`.
+ */
+function emitAssertion(chain, matcher, args, framework) {
+    const emitter = getCodeEmitter(framework);
+    const negated = matcher.startsWith('not.');
+    const target = chain ? emitLocatorWith(emitter, chain) : emitter.receiver;
+    return emitter.assertion(target, negated ? matcher.slice('not.'.length) : matcher, args, negated);
+}
+
+/**
+ * Returns a complete statement, e.g. `await page.getByRole("button").click();`, for an expression.
+ */
+function emitStatement(expression, framework) {
+    const emitter = getCodeEmitter(framework);
+    return `${emitter.awaitKeyword}${expression}${emitter.statementEnd}`;
+}
+
+/**
+ * Returns the framework whose syntax the Selector Verifier should be given for locators generated in
+ * `framework`: the same one when the verifier can parse it, JavaScript otherwise.
+ */
+function getVerifierFramework(framework) {
+    return getCodeEmitter(framework).parsedByVerifier ? framework : 'js';
+}
+
+function emitComment(text, framework) {
+    return `${getCodeEmitter(framework).commentPrefix} ${text}`;
+}
+
+// A comment at the end of a line of code. It holds no quotes, while a `#` or `//` inside a string literal is
+// always followed by that literal's closing quote.
+const TRAILING_COMMENT_PATTERN = / (?:#|\/\/) [^"'`]*$/;
+
+/**
+ * Removes the note emitComment() appended to a locator shown to the user, such as formatBestLocator()'s
+ * fallback warning, so that `page.get_by_text("Order #12") # WARNING: ...` copies as `page.get_by_text("Order #12")`.
+ */
+function stripLocatorNote(text) {
+    return text.replace(TRAILING_COMMENT_PATTERN, '').trim();
+}
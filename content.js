@@ -1,285 +1,531 @@
 /**
  * @file content.js
  * This script is injected into web pages. It handles two main features:
- * 1. The "Locator Generator": An element picking mode to automatically generate a stable Playwright locator.
- * 2. The "Selector Verifier": An engine to find and highlight elements on the page based on a manually entered locator string (CSS or Playwright).
+ * 1. The "Locator Generator": An element picking mode to automatically generate a stable Playwright locator
+ *    (the ranking itself lives in locator-generator.js).
+ * 2. The "Selector Verifier": Finds and highlights elements on the page based on a manually entered locator string (CSS or Playwright)
+ *    (the matching itself lives in locator-evaluator.js).
  */
 
 // --- STATE VARIABLES ---
 let isPickingMode = false;
 let locatorDisplayDiv = null;
-let currentFramework = 'pytest';
-
-// --- UTILITY FUNCTIONS ---
-
-function getImplicitRole(element) {
-    const tagName = element.tagName.toLowerCase();
-    const type = element.getAttribute('type');
-    const explicitRole = element.getAttribute('role');
-    if (explicitRole) return explicitRole;
-
-    const roleMappings = {
-        'a': 'link', 'area': 'link', 'button': 'button',
-        'h1': 'heading', 'h2': 'heading', 'h3': 'heading', 'h4': 'heading', 'h5': 'heading', 'h6': 'heading',
-        'img': 'img', 'textarea': 'textbox', 'select': 'combobox',
-        'li': 'listitem', 'ul': 'list', 'ol': 'list',
-        'nav': 'navigation', 'form': 'form', 'dialog': 'dialog',
-        'table': 'table', 'tr': 'row', 'td': 'cell', 'th': 'columnheader', 'thead': 'rowgroup', 'tbody': 'rowgroup', 'tfoot': 'rowgroup',
-        'fieldset': 'group', 'option': 'option', 'optgroup': 'group',
-        'progress': 'progressbar', 'meter': 'progressbar',
-        'article': 'article', 'aside': 'complementary', 'footer': 'contentinfo', 'header': 'banner', 'main': 'main', 'section': 'region',
-        'summary': 'button', 'details': 'group',
-    };
-    if (roleMappings[tagName]) return roleMappings[tagName];
-
-    if (tagName === 'input') {
-        const inputTypeRoles = {
-            'button': 'button', 'submit': 'button', 'reset': 'button',
-            'checkbox': 'checkbox', 'radio': 'radio',
-            'text': 'textbox', 'email': 'textbox', 'password': 'textbox', 'search': 'textbox',
-            'tel': 'textbox', 'url': 'textbox', 'number': 'spinbutton', 'range': 'slider',
-            'date': 'textbox', 'time': 'textbox', 'datetime-local': 'textbox'
-        };
-        return inputTypeRoles[type] || 'textbox';
+let currentFramework = DEFAULT_FRAMEWORK;
+let pickingDocuments = [];
+// 'locator' shows the picked element's locators; 'pageObject' also offers to save it as a page object field.
+let pickingPurpose = 'locator';
+let lastVerifierMatches = [];
+let currentVerifierMatch = -1;
+let verifierOverlay = null;
+// The inline outline each element had before the verifier outlined it, put back by clearVerifierHighlights().
+const verifierOutlines = new Map();
+// This site's locator history, kept in memory so the verifier can look up saved fingerprints synchronously.
+let siteLocatorHistory = [];
+
+// --- SELECTOR VERIFIER ---
+
+const VERIFIER_HIGHLIGHT_COLOR = '#ff4757';
+const VERIFIER_CURRENT_COLOR = '#e5c07b';
+const VERIFIER_HEALING_COLOR = '#98c379';
+// Only this many matches are described, labelled and offered a disambiguation; the count is always exact.
+const MAX_DESCRIBED_MATCHES = 100;
+const MAX_DISAMBIGUATIONS = 5;
+
+/**
+ * Reads verifier input as a locator chain in the language it was written in. Plain CSS and XPath become a
+ * locator() step in the current language.
+ */
+function parseVerifierInput(locatorString) {
+    if (!looksLikeLocatorExpression(locatorString)) {
+        return { chain: toLocatorChain({ method: 'locator', value: locatorString.trim() }), framework: currentFramework };
     }
-    return null;
+    const framework = /\b(get_by_[a-z_]+|frame_locator|content_frame)\b/.test(locatorString) ? 'pytest' : 'js';
+    return { chain: parseLocatorExpression(locatorString), framework };
 }
 
-function getAccessibleName(element) {
-    const ariaLabel = element.getAttribute('aria-label');
-    if (ariaLabel) return ariaLabel.trim();
+/**
+ * Returns, for each of the first matches, a locator that resolves to that element alone: a filter on its
+ * text when the text tells it apart from the others, its position otherwise.
+ */
+function suggestDisambiguations(chain, elements, framework) {
+    return elements.slice(0, MAX_DISAMBIGUATIONS).map((element, index) => {
+        const text = normalizeWhiteSpace(getElementText(element));
+        if (text && text.length < MAX_LOCATOR_TEXT_LENGTH) {
+            const filtered = { steps: [...chain.steps, { method: 'filter', args: [], options: { hasText: text } }] };
+            const matches = evaluateLocatorChain(filtered, [document]);
+            if (matches.length === 1 && matches[0] === element) return emitLocator(filtered, framework);
+        }
+        return emitLocator({ steps: [...chain.steps, { method: 'nth', args: [index], options: {} }] }, framework);
+    });
+}
 
-    if (element.id) {
-        const label = document.querySelector(`label[for="${CSS.escape(element.id)}"]`);
-        if (label) return (label.innerText || label.textContent).trim();
-    }
+/**
+ * Builds the message Playwright throws when a locator used for an action matches more than one element.
+ */
+function formatStrictModeViolation(chain, framework, elements) {
+    const suggestions = suggestDisambiguations(chain, elements, framework);
+    const lines = [`strict mode violation: ${emitLocator(chain, framework)} resolved to ${elements.length} elements:`];
+    suggestions.forEach((suggestion, index) => {
+        const { tag, name } = describeMatch(elements[index]);
+        lines.push(`    ${index + 1}) <${tag}>${name ? ` "${name}"` : ''} aka ${suggestion}`);
+    });
+    if (elements.length > suggestions.length) lines.push(`    ...and ${elements.length - suggestions.length} more`);
+    return lines.join('\n');
+}
 
-    const tagName = element.tagName.toLowerCase();
-    const type = element.getAttribute('type');
+/**
+ * Draws an index label above each highlighted match; the current one (see revealVerifierMatch) stands out.
+ */
+function drawVerifierLabels() {
+    if (verifierOverlay) verifierOverlay.remove();
+    verifierOverlay = document.createElement('div');
+    verifierOverlay.style.cssText = 'position: absolute; top: 0; left: 0; width: 0; height: 0; pointer-events: none; z-index: 2147483646;';
+    lastVerifierMatches.slice(0, MAX_DESCRIBED_MATCHES).forEach((element, index) => {
+        const rect = getPageRect(element);
+        if (rect.width === 0 && rect.height === 0) return;
+        const color = index === currentVerifierMatch ? VERIFIER_CURRENT_COLOR : VERIFIER_HIGHLIGHT_COLOR;
+        const label = document.createElement('span');
+        label.textContent = String(index + 1);
+        label.style.cssText = `position: absolute; left: ${rect.left}px; top: ${Math.max(0, rect.top - 16)}px; background-color: ${color}; color: #282c34; font: bold 11px/16px 'Menlo', 'Monaco', 'Courier New', monospace; padding: 0 4px; border-radius: 3px 3px 0 0;`;
+        verifierOverlay.appendChild(label);
+    });
+    document.body.appendChild(verifierOverlay);
+}
 
-    // =================================================================
-    // ADDED THIS BLOCK TO CORRECTLY GET THE NAME FROM <input type="submit">
-    // =================================================================
-    if (tagName === 'input' && ['submit', 'button', 'reset'].includes(type)) {
-        if (element.value) {
-            return element.value.trim();
-        }
-    }
+function outlineVerifierElement(element, outline) {
+    if (!verifierOutlines.has(element)) verifierOutlines.set(element, element.style.outline);
+    element.style.outline = outline;
+}
 
-    if (tagName === 'img') {
-        const altText = element.getAttribute('alt');
-        if (altText) return altText.trim();
+function clearVerifierHighlights() {
+    verifierOutlines.forEach((outline, element) => { element.style.outline = outline; });
+    verifierOutlines.clear();
+    if (verifierOverlay) {
+        verifierOverlay.remove();
+        verifierOverlay = null;
     }
+    lastVerifierMatches = [];
+    currentVerifierMatch = -1;
+}
 
-    const text = (element.innerText || "").trim().replace(/\s+/g, ' ');
-    if (text && text.length < 120) return text;
-    
-    const title = element.getAttribute('title');
-    if (title) return title.trim();
-    
-    return '';
+/**
+ * Returns the fingerprint saved with the same locator on this site (see locator-healing.js), or null.
+ */
+function findSavedFingerprint(chain) {
+    const key = emitLocator(chain, 'js');
+    const entry = siteLocatorHistory.find(other => other.fingerprint && emitLocator(other.chain, 'js') === key);
+    return entry ? entry.fingerprint : null;
 }
 
-function getRelativeCSS(element, parent) {
-    let selector = element.tagName.toLowerCase();
-    const stableClasses = Array.from(element.classList)
-        .filter(cls => cls && !cls.includes(':') && !cls.includes('[') && cls.length > 2);
-    if (stableClasses.length > 0) selector += '.' + stableClasses.join('.');
+/**
+ * Suggests a repair for a locator that no longer matches exactly one element and outlines the suggested
+ * element. Returns the suggestion without its element, so it can be sent to the popup, or null.
+ */
+function suggestVerifierHealing(chain, framework, fingerprint) {
+    const suggestion = suggestLocatorHealing(chain, framework, fingerprint);
+    if (!suggestion) return null;
+    const { element, ...healing } = suggestion;
+    outlineVerifierElement(element, `3px dashed ${VERIFIER_HEALING_COLOR}`);
+    return healing;
+}
 
-    const siblings = Array.from(parent.children);
-    const elementsWithSameSelector = siblings.filter(sibling => sibling.matches(selector));
+/**
+ * Finds and highlights the elements matched by a CSS selector or a Playwright locator expression.
+ * Returns { count, matches, strictModeViolation, healing } on success, where `matches` describes the first
+ * matches (see describeMatch) and `strictModeViolation` is set when more than one element matched. When the
+ * locator matches no element or several and a fingerprint was saved for it (or is passed in), `healing` is
+ * the likeliest intended element with a regenerated locator (see suggestLocatorHealing).
+ * Returns { count: 0, error } describing why the input could not be evaluated.
+ */
+function findAndHighlight(locatorString, fingerprint = null) {
+    clearVerifierHighlights();
 
-    if (elementsWithSameSelector.length > 1) {
-        const index = elementsWithSameSelector.indexOf(element);
-        selector += `:nth-of-type(${index + 1})`;
+    let parsed;
+    let foundElements = [];
+    try {
+        parsed = parseVerifierInput(locatorString);
+        foundElements = evaluateLocatorChain(parsed.chain, [document]);
+    } catch (error) {
+        if (error instanceof LocatorParseError) return { count: 0, error: error.toDisplayString() };
+        return { count: 0, error: `Invalid selector: ${error.message}` };
     }
-    return selector;
-}
 
-function isLocatorUniqueInScope(locator, value, targetElement, scope = document) {
-    if (locator === 'getByRole') {
-        const elements = Array.from(scope.querySelectorAll('*')).filter(el => getImplicitRole(el) === value);
-        return elements.length === 1 && elements[0] === targetElement;
+    foundElements.forEach(el => outlineVerifierElement(el, `3px solid ${VERIFIER_HIGHLIGHT_COLOR}`));
+    lastVerifierMatches = foundElements;
+    drawVerifierLabels();
+
+    const savedFingerprint = fingerprint || findSavedFingerprint(parsed.chain);
+    const healing = foundElements.length !== 1 && savedFingerprint
+        ? suggestVerifierHealing(parsed.chain, parsed.framework, savedFingerprint)
+        : null;
+    if (foundElements.length > 0) {
+        addLocatorHistoryEntry({
+            ...parsed,
+            source: 'verified',
+            url: location.href,
+            element: foundElements[0],
+            fingerprint: foundElements.length === 1 ? createElementFingerprint(foundElements[0]) : null,
+        });
     }
-    return false;
-}
-
-function generateBestLocator(element, framework) {
-    const isPytest = framework === 'pytest';
-    const escapeStr = (str) => str.replace(/"/g, '\\"');
-
-    const formatLocator = (method, value, options = null) => {
-        const methodName = isPytest ? method.replace(/([A-Z])/g, '_$1').toLowerCase() : method;
-        const formattedValue = `"${escapeStr(value)}"`;
-        if (!options) return `page.${methodName}(${formattedValue})`;
-        const optionsStr = isPytest
-            ? Object.entries(options).map(([k, v]) => `${k}=${typeof v === 'boolean' ? (v ? 'True' : 'False') : `"${escapeStr(v)}"`}`).join(', ')
-            : `{ ${Object.entries(options).map(([k, v]) => `${k}: ${typeof v === 'boolean' ? v : `"${escapeStr(v)}"`}`).join(', ')} }`;
-        return `page.${methodName}(${formattedValue}, ${optionsStr})`;
+    return {
+        count: foundElements.length,
+        matches: foundElements.slice(0, MAX_DESCRIBED_MATCHES).map(describeMatch),
+        strictModeViolation: foundElements.length > 1 ? formatStrictModeViolation(parsed.chain, parsed.framework, foundElements) : null,
+        healing,
     };
+}
 
-    const testId = element.getAttribute('data-testid') || element.getAttribute('data-qa') || element.getAttribute('data-test');
-    if (testId) return formatLocator('getByTestId', testId);
+/**
+ * Scrolls the verifier match at `index` into view and marks it as the current one. Returns its description
+ * (see describeMatch), or null when the match is gone.
+ */
+function revealVerifierMatch(index) {
+    const element = lastVerifierMatches[index];
+    if (!element || !element.isConnected) return null;
+    currentVerifierMatch = index;
+    lastVerifierMatches.forEach((match, i) => {
+        outlineVerifierElement(match, `3px solid ${i === index ? VERIFIER_CURRENT_COLOR : VERIFIER_HIGHLIGHT_COLOR}`);
+    });
+    element.scrollIntoView({ block: 'center', inline: 'nearest' });
+    drawVerifierLabels();
+    return describeMatch(element);
+}
 
-    const role = getImplicitRole(element);
-    const accName = getAccessibleName(element);
+// --- DEVTOOLS ---
+// The DevTools panel and Elements sidebar (devtools-panel.js) call these through inspectedWindow.eval() in this
+// content script's context, where `$0` is the element selected in the Elements panel and `inspect()` reveals one.
 
-    if (role && accName) return formatLocator('getByRole', role, { name: accName, exact: true });
+function getInspectedElementLocators(element, framework) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return { error: 'Select an element in the Elements panel.' };
+    return { element: describeMatch(element), candidates: generateLocatorCandidates(element, framework) };
+}
 
-    const placeholder = element.getAttribute('placeholder');
-    if (placeholder) return formatLocator('getByPlaceholder', placeholder, { exact: true });
+function verifyLocatorForDevTools(locatorString) {
+    return { matches: [], ...findAndHighlight(locatorString) };
+}
 
-    const altText = element.getAttribute('alt');
-    if (altText) return formatLocator('getByAltText', altText, { exact: true });
+// --- PICKING MODE ---
+// While picking, the element under the mouse is outlined with a live preview of its best locator. The arrow
+// keys (or Shift+wheel) move the selection to the parent, a child or a sibling, Enter picks it and Esc
+// cancels. F freezes the page: it stops receiving mouse and focus events, so hover menus stay open while the
+// selection is moved with the keyboard. Mouse presses never reach the page, so picking doesn't trigger it.
+
+// Events that would let the page react to the pick itself, e.g. menus that open on mousedown.
+const PICK_BLOCKED_EVENTS = ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click', 'dblclick', 'auxclick'];
+// Events the page stops receiving while frozen. Capture listeners on the window see these even if they don't bubble.
+const FREEZE_BLOCKED_EVENTS = ['pointerover', 'pointerout', 'pointerenter', 'pointerleave', 'pointermove',
+    'mouseover', 'mouseout', 'mouseenter', 'mouseleave', 'mousemove', 'focusout', 'blur'];
+const PICKER_HINT = '↑ parent · ↓ child · ←/→ sibling (or Shift+wheel) · Enter pick · F freeze page · Esc cancel';
+
+let hoveredElement = null;
+let hoverTrail = []; // children left behind when moving to a parent, so ↓ retraces the way back down
+let isPickingFrozen = false;
+let pickerOverlay = null;
+let locatorPreviewTimer = null;
 
-    if (accName) return formatLocator('getByText', accName, { exact: true });
-    
-    if (role && isLocatorUniqueInScope('getByRole', role, element, document)) {
-        return formatLocator('getByRole', role);
-    }
-    
-    let parentElement = element.parentElement;
-    for (let i = 0; i < 4 && parentElement && parentElement.tagName !== 'BODY'; i++) {
-        const parentLocator = generateBestLocator(parentElement, framework);
-        if (parentLocator && !parentLocator.includes('locator(') && !parentLocator.includes('WARNING')) {
-            let childLocator;
-            if (role && isLocatorUniqueInScope('getByRole', role, element, parentElement)) {
-                childLocator = formatLocator('getByRole', role).replace(/^page\./, '');
-                return `${parentLocator}.${childLocator}`;
-            }
-            const relativeCSS = getRelativeCSS(element, parentElement);
-            if (parentElement.querySelectorAll(relativeCSS).length === 1) {
-                const childCssLocator = `locator("${escapeStr(relativeCSS)}")`;
-                return `${parentLocator}.${childCssLocator}`;
+/**
+ * Generates, shows and saves the locators of `element`. Returns the best candidate (see
+ * generateLocatorCandidates), or null when there is none.
+ */
+function pickElement(element) {
+    try {
+        const candidates = generateLocatorCandidates(element, currentFramework);
+        const generatedLocator = formatBestLocator(candidates, currentFramework);
+        if (generatedLocator) {
+            const assertions = generateAssertionSnippets(element, candidates[0], currentFramework);
+            displayLocatorOnPage(generatedLocator, false, candidates, assertions);
+            const fingerprint = createElementFingerprint(element);
+            if (pickingPurpose === 'pageObject') {
+                locatorDisplayDiv.insertBefore(createPageObjectRow(element, candidates[0], fingerprint), locatorDisplayDiv.children[1] || null);
             }
+            // The popup is closed while picking, so leave the result in storage for it to pick up.
+            chrome.storage.local.set({ lastGeneratedLocator: generatedLocator, lastGeneratedCandidates: candidates, lastGeneratedAssertions: assertions });
+            addLocatorHistoryEntry({ chain: candidates[0].chain, framework: currentFramework, source: 'generated', url: location.href, element, fingerprint });
+            chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.elementPicked, locator: generatedLocator, framework: currentFramework, candidates, assertions });
+            return candidates[0];
         }
-        parentElement = parentElement.parentElement;
+        displayLocatorOnPage("Could not generate a unique locator.", true);
+    } catch (error) {
+        console.error("Error during locator generation:", error);
+        displayLocatorOnPage(`An error occurred: ${error.message}`, true);
+    } finally {
+        disablePickingMode();
     }
-    
-    const cssSelector = getRelativeCSS(element, element.parentElement);
-    const locator = `page.locator("${escapeStr(cssSelector)}")`;
-    const comment = isPytest 
-        ? "# WARNING: CSS selector fallback. Consider adding a data-testid." 
-        : "// WARNING: CSS selector fallback. Consider adding a data-testid.";
-    return `${locator} ${comment}`;
-}
-
-function findAndHighlight(locatorString) {
-    document.querySelectorAll('[data-playwright-verifier-highlight]').forEach(el => {
-        el.style.outline = '';
-        el.removeAttribute('data-playwright-verifier-highlight');
-    });
+    return null;
+}
 
-    let foundElements = [];
-    try {
-        const cssElements = Array.from(document.querySelectorAll(locatorString));
-        if (cssElements.length > 0 && !locatorString.includes('getBy')) {
-            foundElements = cssElements;
-        }
-    } catch (e) { /* Ignore invalid CSS selector errors */ }
-
-    if (foundElements.length === 0) {
-        const locatorMatch = locatorString.match(/(getBy[A-Za-z]+)\s*\((.*)\)/);
-        const locatorCssMatch = locatorString.match(/locator\s*\(\s*(['"`])(.*?)\1\s*\)/);
-
-        if (locatorCssMatch) {
-            foundElements = Array.from(document.querySelectorAll(locatorCssMatch[2]));
-        } else if (locatorMatch) {
-            const method = locatorMatch[1];
-            const rawArgs = locatorMatch[2].trim();
-            const argMatch = rawArgs.match(/['"`](.*?)['"`]/);
-            if (argMatch) {
-                const value = argMatch[1];
-                const allVisibleElements = Array.from(document.querySelectorAll('*')).filter(el => el.offsetParent !== null);
-                foundElements = allVisibleElements.filter(el => {
-      
-                    switch (method) {
-                        case 'getByRole':
-                         
-                            const nameMatch = rawArgs.match(/name\s*[=:]\s*['"`](.*?)['"`]/);
-                            if (nameMatch) {
-                                return getImplicitRole(el) === value && getAccessibleName(el).includes(nameMatch[1]);
-                            }
-                            return getImplicitRole(el) === value;
-
-                        case 'getByText': 
-                            return (el.innerText || el.textContent || "").trim().includes(value);
-                        
-                        case 'getByLabel': 
-                            return getAccessibleName(el).includes(value);
-
-                        case 'getByPlaceholder': 
-                           
-                            return el.getAttribute('placeholder')?.includes(value);
-
-                        case 'getByAltText': 
-                         
-                            return el.getAttribute('alt')?.includes(value);
-
-                        case 'getByTitle': 
-                         
-                            return el.getAttribute('title')?.includes(value);
-
-                        case 'getByTestId': 
-                            return (el.getAttribute('data-testid') || el.getAttribute('data-qa') || el.getAttribute('data-test')) === value;
-
-                        default: 
-                            return false;
-                    }
-// ...
-                });
-            }
+function isPickerUi(element) {
+    return [pickerOverlay, locatorDisplayDiv].some(ui => ui && ui.contains(element));
+}
+
+function createPickerOverlay() {
+    pickerOverlay = document.createElement('div');
+    pickerOverlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 0; height: 0; pointer-events: none; z-index: 2147483647;';
+    const box = document.createElement('div');
+    box.style.cssText = 'position: fixed; display: none; outline: 2px solid #61afef; background-color: rgba(97, 175, 239, 0.15); box-sizing: border-box;';
+    const preview = document.createElement('div');
+    preview.style.cssText = `position: fixed; display: none; max-width: 600px; background-color: #282c34; color: #abb2bf; padding: 4px 8px; border-radius: 4px; font: 12px/1.4 'Menlo', 'Monaco', 'Courier New', monospace; white-space: pre-wrap; word-break: break-all; box-shadow: 0 4px 10px rgba(0,0,0,0.3);`;
+    const hint = document.createElement('div');
+    hint.textContent = PICKER_HINT;
+    hint.style.cssText = `position: fixed; bottom: 20px; left: 50%; transform: translateX(-50%); background-color: #282c34; color: #abb2bf; padding: 6px 12px; border-radius: 5px; font: 12px 'Menlo', 'Monaco', 'Courier New', monospace; white-space: nowrap; box-shadow: 0 4px 10px rgba(0,0,0,0.3);`;
+    pickerOverlay.append(box, preview, hint);
+    document.body.appendChild(pickerOverlay);
+}
+
+function updatePickerHighlight() {
+    if (!pickerOverlay) return;
+    const [box, preview, hint] = pickerOverlay.children;
+    hint.textContent = isPickingFrozen ? `❄ Page frozen (F to unfreeze) · ${PICKER_HINT}` : PICKER_HINT;
+    if (!hoveredElement || !hoveredElement.isConnected) {
+        box.style.display = 'none';
+        preview.style.display = 'none';
+        return;
+    }
+    const rect = getViewportRect(hoveredElement);
+    Object.assign(box.style, { display: 'block', left: `${rect.left}px`, top: `${rect.top}px`, width: `${rect.width}px`, height: `${rect.height}px` });
+    // Show the preview above the element, or below it when there is no room at the top.
+    preview.style.display = 'block';
+    preview.style.left = `${Math.max(0, rect.left)}px`;
+    preview.style.top = rect.top > 40 ? `${rect.top - preview.offsetHeight - 4}px` : `${rect.top + rect.height + 4}px`;
+}
+
+// Generating locators is not free, so the preview is only computed once the mouse settles.
+function scheduleLocatorPreview() {
+    clearTimeout(locatorPreviewTimer);
+    const [, preview] = pickerOverlay.children;
+    preview.textContent = `<${hoveredElement.tagName.toLowerCase()}>`;
+    locatorPreviewTimer = setTimeout(() => {
+        if (!isPickingMode || !hoveredElement) return;
+        try {
+            const best = generateLocatorCandidates(hoveredElement, currentFramework)[0];
+            preview.textContent = best ? best.locator : `<${hoveredElement.tagName.toLowerCase()}> has no locator`;
+        } catch (error) {
+            preview.textContent = `Error: ${error.message}`;
         }
+        updatePickerHighlight();
+    }, 80);
+}
+
+function setHoveredElement(element) {
+    if (!element || element === hoveredElement) return;
+    hoveredElement = element;
+    scheduleLocatorPreview();
+    updatePickerHighlight();
+}
+
+function moveSelection(direction) {
+    if (!hoveredElement) return;
+    if (direction === 'parent') {
+        const parent = getComposedParent(hoveredElement);
+        if (!parent || parent.tagName === 'HTML') return;
+        hoverTrail.push(hoveredElement);
+        setHoveredElement(parent);
+    } else if (direction === 'child') {
+        const previous = hoverTrail.pop();
+        const child = previous && getComposedParent(previous) === hoveredElement
+            ? previous
+            : (hoveredElement.shadowRoot && hoveredElement.shadowRoot.firstElementChild) || hoveredElement.firstElementChild;
+        setHoveredElement(child);
+    } else {
+        hoverTrail = [];
+        setHoveredElement(direction === 'previous' ? hoveredElement.previousElementSibling : hoveredElement.nextElementSibling);
     }
-    
-    foundElements.forEach(el => {
-        el.style.outline = '3px solid #ff4757';
-        el.setAttribute('data-playwright-verifier-highlight', 'true');
-    });
-    return foundElements.length;
 }
 
-function handlePageClick(event) {
-    if (!isPickingMode) return;
+function handlePickerPress(event) {
+    const target = getEventTargetElement(event);
+    if (isPickerUi(target)) return;
     event.preventDefault();
-    event.stopPropagation();
-    try {
-        const generatedLocator = generateBestLocator(event.target, currentFramework);
-        if (generatedLocator) {
-            displayLocatorOnPage(generatedLocator);
-            chrome.runtime.sendMessage({ action: "elementPicked", locator: generatedLocator });
-        } else {
-            displayLocatorOnPage("Could not generate a unique locator.", true);
-        }
-    } catch (error) {
-        console.error("Error during locator generation:", error);
-        displayLocatorOnPage(`An error occurred: ${error.message}`, true);
-    } finally {
-        disablePickingMode();
+    // Stop other capture listeners too, such as the recorder's, so the pick itself is not recorded.
+    event.stopImmediatePropagation();
+    if (event.type === 'click' && event.button === 0) pickElement(hoveredElement || target);
+}
+
+function handlePickerHover(event) {
+    if (isPickingFrozen) {
+        event.stopImmediatePropagation();
+        return;
     }
+    if (event.type !== 'mousemove') return;
+    const target = getEventTargetElement(event);
+    if (isPickerUi(target)) return;
+    hoverTrail = [];
+    setHoveredElement(target);
+}
+
+const PICKER_KEYS = {
+    ArrowUp: () => moveSelection('parent'),
+    ArrowDown: () => moveSelection('child'),
+    ArrowLeft: () => moveSelection('previous'),
+    ArrowRight: () => moveSelection('next'),
+    Enter: () => { if (hoveredElement) pickElement(hoveredElement); },
+    Escape: () => disablePickingMode(),
+    f: () => { isPickingFrozen = !isPickingFrozen; updatePickerHighlight(); },
+};
+
+function handlePickerKeydown(event) {
+    const action = PICKER_KEYS[event.key.length === 1 ? event.key.toLowerCase() : event.key];
+    if (!action || event.ctrlKey || event.metaKey || event.altKey) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    action();
 }
 
-function enablePickingMode(framework) {
+function handlePickerWheel(event) {
+    if (!event.shiftKey) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    moveSelection((event.deltaY || event.deltaX) < 0 ? 'parent' : 'child');
+}
+
+const PICKER_LISTENERS = [
+    ...PICK_BLOCKED_EVENTS.map(type => [type, handlePickerPress]),
+    ...FREEZE_BLOCKED_EVENTS.map(type => [type, handlePickerHover]),
+    ['keydown', handlePickerKeydown],
+    ['wheel', handlePickerWheel],
+    ['scroll', updatePickerHighlight],
+];
+
+function enablePickingMode(framework, purpose = 'locator') {
     if (isPickingMode) return;
     isPickingMode = true;
     currentFramework = framework;
-    document.addEventListener('click', handlePageClick, { capture: true, once: true });
-    document.body.style.cursor = 'crosshair';
+    pickingPurpose = purpose;
     hideLocatorDisplay();
+    createPickerOverlay();
+    // Same-origin iframes don't forward their events to the top document, so listen in each of them too.
+    // Window capture listeners run before any listener the page registers on its document or elements.
+    pickingDocuments = getAllDocuments();
+    pickingDocuments.forEach(doc => {
+        PICKER_LISTENERS.forEach(([type, listener]) => doc.defaultView.addEventListener(type, listener, { capture: true, passive: false }));
+        if (doc.body) doc.body.style.cursor = 'crosshair';
+    });
 }
 
 function disablePickingMode() {
     if (!isPickingMode) return;
     isPickingMode = false;
-    document.removeEventListener('click', handlePageClick, { capture: true });
-    document.body.style.cursor = 'default';
+    pickingDocuments.forEach(doc => {
+        if (doc.defaultView) PICKER_LISTENERS.forEach(([type, listener]) => doc.defaultView.removeEventListener(type, listener, { capture: true }));
+        if (doc.body) doc.body.style.cursor = 'default';
+    });
+    pickingDocuments = [];
+    clearTimeout(locatorPreviewTimer);
+    if (pickerOverlay) pickerOverlay.remove();
+    pickerOverlay = null;
+    hoveredElement = null;
+    hoverTrail = [];
+    isPickingFrozen = false;
+}
+
+function copyFromPanel(text, button) {
+    const originalLabel = button.textContent;
+    const originalColor = button.style.backgroundColor;
+    copyTextToClipboard(text).then(() => {
+        button.textContent = 'Copied!';
+        button.style.backgroundColor = '#98c379';
+        setTimeout(() => {
+            button.textContent = originalLabel;
+            button.style.backgroundColor = originalColor;
+        }, 2000);
+    });
+}
+
+function createCandidateRow(candidate) {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; align-items: center; gap: 10px; padding: 6px 0; border-top: 1px solid #3e4451;';
+    const details = document.createElement('div');
+    details.style.cssText = 'flex-grow: 1; min-width: 0;';
+    const code = document.createElement('code');
+    code.textContent = candidate.locator;
+    code.style.cssText = 'display: block; white-space: pre-wrap; word-break: break-all; user-select: all; font-size: 12px;';
+    const meta = document.createElement('div');
+    const badgeColor = candidate.matchCount === 1 ? '#98c379' : '#e5c07b';
+    meta.style.cssText = 'display: flex; gap: 8px; margin-top: 4px; font-size: 11px; color: #7f848e;';
+    const strategy = document.createElement('span');
+    strategy.textContent = `${candidate.label} · score ${candidate.score}`;
+    const badge = document.createElement('span');
+    badge.textContent = `matches ${candidate.matchCount} element${candidate.matchCount === 1 ? '' : 's'}`;
+    badge.style.cssText = `color: ${badgeColor};`;
+    meta.append(strategy, badge);
+    details.append(code, meta);
+    const copyButton = document.createElement('button');
+    copyButton.textContent = 'Copy';
+    copyButton.style.cssText = `background-color: #4b5263; color: #abb2bf; border: none; padding: 4px 10px; border-radius: 5px; cursor: pointer; font-size: 12px;`;
+    copyButton.onclick = () => copyFromPanel(candidate.locator, copyButton);
+    row.append(details, copyButton);
+    return row;
+}
+
+// An assertion snippet (see assertion-snippets.js) with what it checks and a Copy button.
+function createAssertionRow(snippet) {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; align-items: center; gap: 10px; padding: 6px 0; border-top: 1px solid #3e4451;';
+    const details = document.createElement('div');
+    details.style.cssText = 'flex-grow: 1; min-width: 0;';
+    const code = document.createElement('code');
+    code.textContent = snippet.code;
+    code.style.cssText = 'display: block; white-space: pre-wrap; word-break: break-all; user-select: all; font-size: 12px;';
+    const meta = document.createElement('div');
+    meta.textContent = snippet.label;
+    meta.style.cssText = 'margin-top: 4px; font-size: 11px; color: #7f848e;';
+    details.append(code, meta);
+    const copyButton = document.createElement('button');
+    copyButton.textContent = 'Copy';
+    copyButton.style.cssText = `background-color: #4b5263; color: #abb2bf; border: none; padding: 4px 10px; border-radius: 5px; cursor: pointer; font-size: 12px;`;
+    copyButton.onclick = () => copyFromPanel(snippet.code, copyButton);
+    row.append(details, copyButton);
+    return row;
+}
+
+/**
+ * Suggests a page object field name for an element from its accessible name or text and its role,
+ * e.g. "Sign in button".
+ */
+function suggestFieldName(element) {
+    const label = getAccessibleName(element) || normalizeWhiteSpace(getElementText(element)) || getTestId(element) || '';
+    const role = getImplicitRole(element) || element.tagName.toLowerCase();
+    const words = label.split(' ').slice(0, 4).join(' ');
+    return words.toLowerCase().endsWith(role) ? words : `${words} ${role}`.trim();
+}
+
+// The "save as page object field" row of the on-page panel. Saving starts picking the next field.
+function createPageObjectRow(element, candidate, fingerprint) {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; align-items: center; gap: 10px;';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = suggestFieldName(element);
+    nameInput.placeholder = 'Field name';
+    nameInput.style.cssText = 'flex-grow: 1; background-color: #21252b; color: #abb2bf; border: 1px solid #4b5263; border-radius: 5px; padding: 6px 8px; font-family: inherit; font-size: 13px;';
+    const addButton = document.createElement('button');
+    addButton.textContent = 'Add & pick next';
+    addButton.style.cssText = `background-color: #98c379; color: #282c34; border: none; padding: 6px 12px; border-radius: 5px; cursor: pointer; font-size: 13px; font-weight: bold;`;
+    const addField = () => {
+        addButton.disabled = true;
+        addPageObjectField(location.href, nameInput.value, candidate.chain, fingerprint)
+            .then(() => enablePickingMode(currentFramework, 'pageObject'))
+            .catch(error => {
+                addButton.disabled = false;
+                addButton.textContent = `Error: ${error.message}`;
+            });
+    };
+    addButton.onclick = addField;
+    nameInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') addField();
+    });
+    row.append(nameInput, addButton);
+    setTimeout(() => nameInput.select(), 0);
+    return row;
 }
 
-function displayLocatorOnPage(text, isError = false) {
+function displayLocatorOnPage(text, isError = false, candidates = [], assertions = []) {
     hideLocatorDisplay();
     locatorDisplayDiv = document.createElement('div');
     const panelColor = isError ? '#e06c75' : '#61afef';
-    locatorDisplayDiv.style.cssText = `position: fixed; top: 20px; right: 20px; background-color: #282c34; color: #abb2bf; padding: 16px; border-radius: 8px; border-left: 4px solid ${panelColor}; font-family: 'Menlo', 'Monaco', 'Courier New', monospace; font-size: 14px; z-index: 2147483647; box-shadow: 0 8px 20px rgba(0,0,0,0.3); display: flex; align-items: center; gap: 15px; max-width: 600px;`;
+    locatorDisplayDiv.style.cssText = `position: fixed; top: 20px; right: 20px; background-color: #282c34; color: #abb2bf; padding: 16px; border-radius: 8px; border-left: 4px solid ${panelColor}; font-family: 'Menlo', 'Monaco', 'Courier New', monospace; font-size: 14px; z-index: 2147483647; box-shadow: 0 8px 20px rgba(0,0,0,0.3); display: flex; flex-direction: column; gap: 10px; max-width: 600px; max-height: 80vh; overflow-y: auto;`;
+    const summaryRow = document.createElement('div');
+    summaryRow.style.cssText = 'display: flex; align-items: center; gap: 15px;';
     const locatorText = document.createElement('code');
     locatorText.textContent = text;
     locatorText.style.cssText = 'white-space: pre-wrap; word-break: break-all; user-select: all; flex-grow: 1;';
@@ -288,27 +534,33 @@ function displayLocatorOnPage(text, isError = false) {
     const copyButton = document.createElement('button');
     copyButton.textContent = 'Copy';
     copyButton.style.cssText = `background-color: #61afef; color: #282c34; border: none; padding: 6px 12px; border-radius: 5px; cursor: pointer; font-size: 13px; font-weight: bold;`;
-    copyButton.onclick = () => {
-        const pureLocator = text.split(/ (#|\/\/)/)[0].trim();
-        navigator.clipboard.writeText(pureLocator).then(() => {
-            copyButton.textContent = 'Copied!';
-            copyButton.style.backgroundColor = '#98c379';
-            setTimeout(() => {
-                copyButton.textContent = 'Copy';
-                copyButton.style.backgroundColor = '#61afef';
-            }, 2000);
-        });
-    };
+    copyButton.onclick = () => copyFromPanel(stripLocatorNote(text), copyButton);
     const closeButton = document.createElement('button');
     closeButton.textContent = 'Close';
     closeButton.style.cssText = `background-color: #4b5263; color: #abb2bf; border: none; padding: 6px 12px; border-radius: 5px; cursor: pointer; font-size: 13px;`;
     closeButton.onclick = hideLocatorDisplay;
-    locatorDisplayDiv.appendChild(locatorText);
+    summaryRow.appendChild(locatorText);
     if (!isError) {
         buttonContainer.appendChild(copyButton);
     }
     buttonContainer.appendChild(closeButton);
-    locatorDisplayDiv.appendChild(buttonContainer);
+    summaryRow.appendChild(buttonContainer);
+    locatorDisplayDiv.appendChild(summaryRow);
+
+    if (candidates.length > 1) {
+        const heading = document.createElement('div');
+        heading.textContent = 'All candidates (best first)';
+        heading.style.cssText = 'font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; color: #7f848e;';
+        locatorDisplayDiv.appendChild(heading);
+        candidates.forEach(candidate => locatorDisplayDiv.appendChild(createCandidateRow(candidate)));
+    }
+    if (assertions.length > 0) {
+        const heading = document.createElement('div');
+        heading.textContent = 'Assertions';
+        heading.style.cssText = 'font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; color: #7f848e;';
+        locatorDisplayDiv.appendChild(heading);
+        assertions.forEach(snippet => locatorDisplayDiv.appendChild(createAssertionRow(snippet)));
+    }
     document.body.appendChild(locatorDisplayDiv);
 }
 
@@ -319,17 +571,148 @@ function hideLocatorDisplay() {
     }
 }
 
+// --- SHORTCUTS AND CONTEXT MENU ---
+// background.js sends these for the keyboard shortcuts and the "Copy Playwright locator" context menu item.
+
+// The element last right-clicked in this document (open shadow roots included, iframes not).
+let contextMenuTarget = null;
+
+document.addEventListener('contextmenu', event => {
+    contextMenuTarget = getEventTargetElement(event);
+}, true);
+
+/**
+ * Copies `text`. The async clipboard API needs a focused page in a secure context; when it is missing or
+ * refuses, fall back to a selection-based copy, which the extension's clipboardWrite permission allows.
+ */
+function copyTextToClipboard(text) {
+    return Promise.resolve().then(() => navigator.clipboard.writeText(text)).catch(() => {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.cssText = 'position: fixed; top: 0; left: 0; opacity: 0;';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+        if (!copied) throw new Error('The clipboard is not available on this page.');
+    });
+}
+
+function copyLocatorShortcut(text, framework) {
+    if (!text) {
+        displayLocatorOnPage('The locator history is empty. Pick or verify a locator first.', true);
+        return Promise.resolve(false);
+    }
+    return copyTextToClipboard(text)
+        .then(() => {
+            displayLocatorOnPage(`${text} ${emitComment('copied', framework)}`);
+            return true;
+        })
+        .catch(error => {
+            displayLocatorOnPage(`Could not copy the locator: ${error.message}`, true);
+            return false;
+        });
+}
+
+/**
+ * Verifies a locator and sums up the result in the on-page panel, since no popup is open to show it.
+ */
+function verifyLocatorShortcut(locator, fingerprint) {
+    if (!locator) {
+        displayLocatorOnPage('The locator history is empty. Pick or verify a locator first.', true);
+        return { count: 0, error: 'The locator history is empty.' };
+    }
+    const result = findAndHighlight(locator, fingerprint);
+    if (result.error) {
+        displayLocatorOnPage(result.error, true);
+    } else if (result.count === 1) {
+        displayLocatorOnPage(`${locator} ${emitComment('✓ matches 1 element', parseVerifierInput(locator).framework)}`);
+    } else {
+        const lines = [locator, result.strictModeViolation || 'No elements found with this locator.'];
+        if (result.healing) lines.push(`Likely fix (${result.healing.score}% similar): ${result.healing.newLocator}`);
+        displayLocatorOnPage(lines.join('\n'), true);
+    }
+    return result;
+}
+
+function copyContextMenuLocator(framework, frameId) {
+    if (frameId !== 0 || !contextMenuTarget || !contextMenuTarget.isConnected) {
+        displayLocatorOnPage('Right-click the element again, outside any iframe, or use "Pick Element" for elements in frames.', true);
+        return Promise.resolve(null);
+    }
+    currentFramework = framework;
+    pickingPurpose = 'locator';
+    // The candidate's own locator, without the fallback warning the panel shows next to it.
+    const best = pickElement(contextMenuTarget);
+    if (!best) return Promise.resolve(null);
+    return copyTextToClipboard(best.locator)
+        .then(() => best.locator)
+        .catch(error => {
+            displayLocatorOnPage(`Could not copy the locator: ${error.message}`, true);
+            return null;
+        });
+}
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === "togglePickingMode") {
+    if (request.action === MESSAGE_ACTIONS.verifyLocator) {
+        sendResponse(verifyLocatorShortcut(request.locator, request.fingerprint || null));
+        return true;
+    }
+    if (request.action === MESSAGE_ACTIONS.copyText) {
+        copyLocatorShortcut(request.text, request.framework).then(copied => sendResponse({ copied }));
+        return true;
+    }
+    if (request.action === MESSAGE_ACTIONS.copyContextMenuLocator) {
+        copyContextMenuLocator(request.framework, request.frameId).then(locator => sendResponse({ locator }));
+        return true;
+    }
+    if (request.action === MESSAGE_ACTIONS.togglePickingMode) {
         if (isPickingMode) {
             disablePickingMode();
             sendResponse({ status: "disabled" });
         } else {
-            enablePickingMode(request.framework);
+            enablePickingMode(request.framework, request.purpose);
             sendResponse({ status: "enabled" });
         }
         return true;
     }
+    if (request.action === MESSAGE_ACTIONS.verifyLocators) {
+        // Runs saved locator chains through the verifier and reports how many elements each one matches,
+        // with a healing suggestion (see suggestLocatorHealing) for each one that has a fingerprint and
+        // doesn't match exactly one element.
+        const fingerprints = request.fingerprints || [];
+        const counts = request.chains.map(chain => {
+            try {
+                return evaluateLocatorChain(chain, [document]).length;
+            } catch (error) {
+                return 0;
+            }
+        });
+        const healings = request.chains.map((chain, index) => {
+            if (counts[index] === 1 || !fingerprints[index]) return null;
+            const suggestion = suggestLocatorHealing(chain, request.framework || currentFramework, fingerprints[index]);
+            if (!suggestion) return null;
+            const { element, ...healing } = suggestion;
+            return healing;
+        });
+        sendResponse({ counts, healings });
+        return true;
+    }
+});
+
+function setSiteLocatorHistory(entries) {
+    siteLocatorHistory = entries.filter(entry => entry.origin === getHistoryOrigin(location.href));
+}
+
+loadSettings().then(setActiveSettings);
+loadLocatorHistory().then(setSiteLocatorHistory);
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[SETTINGS_STORAGE_KEY]) {
+        setActiveSettings(changes[SETTINGS_STORAGE_KEY].newValue);
+    }
+    if (areaName === 'local' && changes[LOCATOR_HISTORY_STORAGE_KEY]) {
+        setSiteLocatorHistory(normalizeLocatorHistory(changes[LOCATOR_HISTORY_STORAGE_KEY].newValue));
+    }
 });
 
 disablePickingMode();
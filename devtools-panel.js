@@ -0,0 +1,242 @@
+/**
+ * @file devtools-panel.js
+ * This script manages the "Playwright" DevTools panel and the "Playwright Locators" sidebar pane of the
+ * Elements panel (devtools-sidebar.html, which has no verifier section). Both list locator candidates for the
+ * element selected in the Elements panel (`$0`) and follow the selection. The panel also hosts the verifier,
+ * whose matches can be revealed in the Elements tree.
+ *
+ * Everything runs through chrome.devtools.inspectedWindow.eval() in the content script's context, which calls
+ * the DEVTOOLS helpers of content.js.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    // === UI Elements ===
+    const frameworkSelect = document.getElementById('frameworkSelect');
+    const selectedElement = document.getElementById('selectedElement');
+    const candidateList = document.getElementById('candidateList');
+    const locatorInput = document.getElementById('locatorInput');
+    const checkButton = document.getElementById('checkButton');
+    const messageDiv = document.getElementById('message');
+    const matchList = document.getElementById('matchList');
+    const clearHighlightsButton = document.getElementById('clearHighlightsButton');
+    const healingSuggestion = document.getElementById('healingSuggestion');
+    const healingSummary = document.getElementById('healingSummary');
+    const healingDiff = document.getElementById('healingDiff');
+    const useHealingButton = document.getElementById('useHealingButton');
+
+    const VERIFIER_INPUT_STORAGE_KEY = 'devtoolsVerifierInput';
+
+    // === State Variables ===
+    let selectedFramework = DEFAULT_FRAMEWORK;
+    let currentHealing = null;
+
+    Object.entries(CODE_EMITTERS).forEach(([key, emitter]) => {
+        frameworkSelect.appendChild(new Option(emitter.label, key));
+    });
+
+    // --- Part 1: Evaluating in the inspected page ---
+    function evalInContentScript(expression, callback) {
+        chrome.devtools.inspectedWindow.eval(expression, { useContentScriptContext: true }, function(result, exceptionInfo) {
+            if (exceptionInfo && (exceptionInfo.isError || exceptionInfo.isException)) {
+                callback(null, exceptionInfo.value || exceptionInfo.description || 'The extension is not available on this page. Try refreshing it.');
+                return;
+            }
+            callback(result, null);
+        });
+    }
+
+    function describeElement(element) {
+        let description = `<${element.tag}>`;
+        if (element.role) description += ` ${element.role}`;
+        if (element.name) description += ` "${element.name}"`;
+        else if (element.text) description += ` ${element.text}`;
+        return description;
+    }
+
+    // --- Part 2: Locators for the selected element ---
+    function copyToClipboard(text, button) {
+        // navigator.clipboard is blocked in DevTools pages, so fall back to a selection-based copy.
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        textarea.remove();
+        const originalLabel = button.textContent;
+        button.textContent = 'Copied!';
+        setTimeout(() => { button.textContent = originalLabel; }, 1500);
+    }
+
+    function renderCandidates(candidates) {
+        candidateList.replaceChildren();
+        candidateList.style.display = candidates.length > 0 ? 'block' : 'none';
+
+        candidates.forEach(candidate => {
+            const item = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = candidate.locator;
+            const meta = document.createElement('div');
+            meta.className = 'candidate-meta';
+            meta.textContent = `${candidate.label} · score ${candidate.score} `;
+            const badge = document.createElement('span');
+            badge.className = candidate.matchCount === 1 ? 'badge badge-unique' : 'badge badge-ambiguous';
+            badge.textContent = `matches ${candidate.matchCount} element${candidate.matchCount === 1 ? '' : 's'}`;
+            meta.appendChild(badge);
+
+            const actions = document.createElement('div');
+            actions.className = 'candidate-actions';
+            const copyButton = document.createElement('button');
+            copyButton.className = 'btn btn-small';
+            copyButton.textContent = 'Copy';
+            copyButton.addEventListener('click', () => copyToClipboard(candidate.locator, copyButton));
+            actions.appendChild(copyButton);
+            if (locatorInput) {
+                const verifyButton = document.createElement('button');
+                verifyButton.className = 'btn btn-small';
+                verifyButton.textContent = 'Verify';
+                verifyButton.title = 'Check this locator in the verifier below';
+                verifyButton.addEventListener('click', () => {
+                    locatorInput.value = candidate.verifierLocator || candidate.locator;
+                    saveVerifierInput();
+                    verify();
+                });
+                actions.appendChild(verifyButton);
+            }
+
+            item.append(code, meta, actions);
+            candidateList.appendChild(item);
+        });
+    }
+
+    function refreshSelection() {
+        const expression = `getInspectedElementLocators($0, ${JSON.stringify(selectedFramework)})`;
+        evalInContentScript(expression, function(result, error) {
+            if (error || result.error) {
+                selectedElement.textContent = error || result.error;
+                renderCandidates([]);
+                return;
+            }
+            selectedElement.textContent = describeElement(result.element);
+            if (result.candidates.length === 0) selectedElement.textContent += ' · no locator found';
+            renderCandidates(result.candidates);
+        });
+    }
+
+    frameworkSelect.addEventListener('change', function() {
+        selectedFramework = this.value;
+        chrome.storage.local.set({ selectedFramework: selectedFramework });
+        refreshSelection();
+    });
+
+    // The popup shares the language choice.
+    chrome.storage.onChanged.addListener(function(changes, areaName) {
+        if (areaName !== 'local' || !changes.selectedFramework) return;
+        const framework = changes.selectedFramework.newValue;
+        if (!CODE_EMITTERS[framework] || framework === selectedFramework) return;
+        selectedFramework = framework;
+        frameworkSelect.value = framework;
+        refreshSelection();
+    });
+
+    chrome.devtools.panels.elements.onSelectionChanged.addListener(refreshSelection);
+
+    // The page navigated: the content script and any verifier matches are gone.
+    chrome.devtools.network.onNavigated.addListener(function() {
+        if (matchList) renderMatches([]);
+        if (healingSuggestion) showHealing(null);
+        if (messageDiv) messageDiv.style.display = 'none';
+        setTimeout(refreshSelection, 500);
+    });
+
+    // --- Part 3: Selector Verifier Logic ---
+    function saveVerifierInput() {
+        chrome.storage.local.set({ [VERIFIER_INPUT_STORAGE_KEY]: locatorInput.value });
+    }
+
+    function showMessage(text, color) {
+        messageDiv.style.display = 'block';
+        messageDiv.textContent = text;
+        messageDiv.style.color = color;
+    }
+
+    function renderMatches(matches) {
+        matchList.replaceChildren(...matches.map((match, index) => {
+            const item = document.createElement('li');
+            item.textContent = `${describeElement(match)} · ${match.visible ? 'visible' : 'hidden'}`;
+            item.classList.toggle('hidden-match', !match.visible);
+            item.title = 'Reveal in the Elements panel';
+            item.addEventListener('click', () => {
+                Array.from(matchList.children).forEach((other, i) => other.classList.toggle('current', i === index));
+                evalInContentScript(`revealVerifierMatch(${index}), inspect(lastVerifierMatches[${index}])`, () => {});
+            });
+            return item;
+        }));
+        matchList.style.display = matches.length > 0 ? 'block' : 'none';
+        clearHighlightsButton.style.display = matches.length > 0 || currentHealing ? 'block' : 'none';
+    }
+
+    // A saved fingerprint points at the element a broken locator most likely meant (see locator-healing.js).
+    function showHealing(healing) {
+        currentHealing = healing;
+        healingSuggestion.style.display = healing ? 'block' : 'none';
+        if (!healing) return;
+        healingSummary.textContent = `The saved element most likely is ${describeElement(healing.match)} (${healing.score}% similar, outlined in green). Suggested locator:`;
+        healingDiff.replaceChildren(...healing.diff.map(segment => {
+            if (segment.type === 'same') return document.createTextNode(segment.text);
+            const part = document.createElement(segment.type === 'added' ? 'ins' : 'del');
+            part.textContent = segment.text;
+            return part;
+        }));
+    }
+
+    function verify() {
+        const selector = locatorInput.value.trim();
+        if (!selector) {
+            showMessage('Please enter a selector or locator.', '#d9534f');
+            renderMatches([]);
+            return;
+        }
+        evalInContentScript(`verifyLocatorForDevTools(${JSON.stringify(selector)})`, function(result, error) {
+            messageDiv.classList.toggle('message-code', Boolean(!error && (result.error || result.strictModeViolation)));
+            if (error || result.error) {
+                showMessage(error || result.error, '#d9534f');
+                showHealing(null);
+                renderMatches([]);
+                return;
+            }
+            showHealing(result.healing || null);
+            if (result.strictModeViolation) showMessage(`Actions on this locator would fail with:\n${result.strictModeViolation}`, '#dd6b20');
+            else if (result.count > 0) showMessage(`Found and highlighted ${result.count} element(s). Click one to reveal it.`, '#5cb85c');
+            else showMessage('No elements found with this locator.', '#f0ad4e');
+            renderMatches(result.matches);
+        });
+    }
+
+    if (locatorInput) {
+        locatorInput.addEventListener('input', saveVerifierInput);
+        locatorInput.addEventListener('keydown', event => {
+            if (event.key === 'Enter') verify();
+        });
+        checkButton.addEventListener('click', verify);
+        useHealingButton.addEventListener('click', () => {
+            if (!currentHealing) return;
+            locatorInput.value = currentHealing.verifierLocator;
+            saveVerifierInput();
+            verify();
+        });
+        clearHighlightsButton.addEventListener('click', () => evalInContentScript('clearVerifierHighlights()', function() {
+            showHealing(null);
+            renderMatches([]);
+            messageDiv.style.display = 'none';
+        }));
+    }
+
+    // --- Part 4: Restore state ---
+    chrome.storage.local.get(['selectedFramework', VERIFIER_INPUT_STORAGE_KEY], function(result) {
+        if (CODE_EMITTERS[result.selectedFramework]) {
+            selectedFramework = result.selectedFramework;
+        }
+        frameworkSelect.value = selectedFramework;
+        if (locatorInput && result[VERIFIER_INPUT_STORAGE_KEY]) locatorInput.value = result[VERIFIER_INPUT_STORAGE_KEY];
+        refreshSelection();
+    });
+});
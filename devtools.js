@@ -0,0 +1,10 @@
+/**
+ * @file devtools.js
+ * The DevTools page. It only registers the "Playwright" panel and the "Playwright Locators" sidebar pane of
+ * the Elements panel; both are rendered by devtools-panel.js.
+ */
+chrome.devtools.panels.create('Playwright', 'icons/icon16.png', 'devtools-panel.html');
+
+chrome.devtools.panels.elements.createSidebarPane('Playwright Locators', function(sidebar) {
+    sidebar.setPage('devtools-sidebar.html');
+});
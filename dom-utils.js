@@ -0,0 +1,203 @@
+/**
+ * @file dom-utils.js
+ * DOM traversal helpers shared by the Locator Generator and the Selector Verifier.
+ * Like Playwright's own selector engines, they pierce open shadow roots. Same-origin iframes are
+ * reachable as separate documents, which locators address through frame_locator()/frameLocator().
+ */
+
+/**
+ * Returns the parent of an element in the composed tree, stepping from a shadow root to its host.
+ */
+function getComposedParent(element) {
+    if (element.parentElement) return element.parentElement;
+    const parentNode = element.parentNode;
+    if (parentNode && parentNode.nodeType === Node.DOCUMENT_FRAGMENT_NODE && parentNode.host) return parentNode.host;
+    return null;
+}
+
+/**
+ * Returns every element below `scope` (a document, shadow root or element), including the contents of
+ * open shadow roots. Elements inside iframes are not included.
+ */
+function getDeepElements(scope) {
+    const elements = [];
+    const visit = (root) => {
+        for (const element of root.querySelectorAll('*')) {
+            elements.push(element);
+            if (element.shadowRoot) visit(element.shadowRoot);
+        }
+    };
+    if (scope.shadowRoot) visit(scope.shadowRoot);
+    visit(scope);
+    return elements;
+}
+
+/**
+ * Splits a selector at its top-level occurrences of `separator` (',' or ' '), ignoring brackets,
+ * parentheses and quoted strings. Whitespace around '>', '+' and '~' combinators is kept together.
+ */
+function splitSelectorTopLevel(selector, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (let i = 0; i < selector.length; i++) {
+        const ch = selector[i];
+        if (quote) {
+            if (ch === '\\') { current += ch + (selector[++i] || ''); continue; }
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '(' || ch === '[') {
+            depth++;
+        } else if (ch === ')' || ch === ']') {
+            depth--;
+        } else if (depth === 0 && separator === ',' && ch === ',') {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        } else if (depth === 0 && separator === ' ' && /\s/.test(ch)) {
+            const before = current.trimEnd();
+            const after = selector.slice(i).trimStart();
+            if (before && !/[>+~]$/.test(before) && !/^[>+~]/.test(after)) {
+                parts.push(before);
+                current = '';
+                continue;
+            }
+        }
+        current += ch;
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+/**
+ * Returns true when `element` matches a list of descendant-separated compound selectors, allowing each
+ * descendant step to cross shadow boundaries the way Playwright's CSS engine does.
+ */
+function matchesAcrossShadow(element, segments) {
+    if (!element.matches(segments[segments.length - 1])) return false;
+    if (segments.length === 1) return true;
+    const ancestorSegments = segments.slice(0, -1);
+    for (let ancestor = getComposedParent(element); ancestor; ancestor = getComposedParent(ancestor)) {
+        if (matchesAcrossShadow(ancestor, ancestorSegments)) return true;
+    }
+    return false;
+}
+
+/**
+ * querySelectorAll that also matches elements inside open shadow roots. Descendant combinators
+ * pierce shadow roots, so `my-widget button` finds a button rendered inside the widget.
+ */
+function querySelectorAllDeep(scope, selector) {
+    const alternatives = splitSelectorTopLevel(selector, ',').map(part => splitSelectorTopLevel(part, ' '));
+    const elements = getDeepElements(scope);
+    // Validate the selector up front so that syntax errors surface like they do from querySelectorAll.
+    (scope.ownerDocument || scope).createDocumentFragment().querySelector(selector);
+    return elements.filter(element => {
+        if (element.matches(selector)) return true;
+        return alternatives.some(segments => matchesAcrossShadow(element, segments));
+    });
+}
+
+function getComposedAncestry(node) {
+    const ancestry = [];
+    let current = node;
+    while (current) {
+        ancestry.unshift(current);
+        if (current.nodeType === Node.DOCUMENT_NODE) {
+            current = current.defaultView ? current.defaultView.frameElement : null;
+        } else {
+            current = getComposedParent(current) || current.ownerDocument;
+        }
+    }
+    return ancestry;
+}
+
+/**
+ * Sort comparator for nodes in composed tree order: shadow root contents come right after their host,
+ * and frame documents right after their iframe element.
+ */
+function compareComposedOrder(a, b) {
+    if (a === b) return 0;
+    const ancestryA = getComposedAncestry(a);
+    const ancestryB = getComposedAncestry(b);
+    let i = 0;
+    while (i < ancestryA.length && i < ancestryB.length && ancestryA[i] === ancestryB[i]) i++;
+    if (i === ancestryA.length) return -1; // a is an ancestor of b
+    if (i === ancestryB.length) return 1;
+    const position = ancestryA[i].compareDocumentPosition(ancestryB[i]);
+    if (position & Node.DOCUMENT_POSITION_DISCONNECTED) {
+        // Siblings across a shadow boundary: the shadow tree is rendered in place of the light children.
+        return ancestryA[i].getRootNode() !== ancestryA[i - 1].getRootNode() ? -1 : 1;
+    }
+    return position & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+}
+
+/**
+ * Returns the document of a same-origin iframe, or null when it is cross-origin or not loaded yet.
+ */
+function getFrameDocument(frameElement) {
+    try {
+        return frameElement.contentDocument || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Returns `rootDocument` followed by the documents of all same-origin iframes nested in it.
+ */
+function getAllDocuments(rootDocument = document) {
+    const documents = [rootDocument];
+    querySelectorAllDeep(rootDocument, 'iframe, frame').forEach(frameElement => {
+        const frameDocument = getFrameDocument(frameElement);
+        if (frameDocument) documents.push(...getAllDocuments(frameDocument));
+    });
+    return documents;
+}
+
+/**
+ * Returns the iframe elements that contain `element`, outermost first. Empty for top-level elements.
+ */
+function getFrameChain(element) {
+    const chain = [];
+    let view = element.ownerDocument.defaultView;
+    while (view && view.frameElement) {
+        chain.unshift(view.frameElement);
+        view = view.frameElement.ownerDocument.defaultView;
+    }
+    return chain;
+}
+
+/**
+ * Returns an element's box relative to the top-level viewport, adding the offsets of the iframes it is in.
+ */
+function getViewportRect(element) {
+    const rect = element.getBoundingClientRect();
+    let left = rect.left;
+    let top = rect.top;
+    getFrameChain(element).forEach(frameElement => {
+        const frameRect = frameElement.getBoundingClientRect();
+        left += frameRect.left + frameElement.clientLeft;
+        top += frameRect.top + frameElement.clientTop;
+    });
+    return { left, top, width: rect.width, height: rect.height };
+}
+
+/**
+ * Returns an element's box in top-level document coordinates, so overlays drawn there stay in place when scrolling.
+ */
+function getPageRect(element) {
+    const rect = getViewportRect(element);
+    return { ...rect, left: rect.left + window.scrollX, top: rect.top + window.scrollY };
+}
+
+/**
+ * Returns the element an event really happened on, looking through shadow DOM retargeting.
+ */
+function getEventTargetElement(event) {
+    const path = event.composedPath ? event.composedPath() : [];
+    const target = path.find(node => node.nodeType === Node.ELEMENT_NODE) || event.target;
+    return target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement;
+}
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * @file locator-cli.mjs
+ * Runs the locator engine (locator-engine.mjs) against a saved HTML file, e.g. to check generated locators
+ * against page snapshots in CI. Needs jsdom next to this file: `npm install --no-save jsdom@29`.
+ *
+ *   node locator-cli.mjs page.html --css "form > button"           prints the best locator for an element
+ *   node locator-cli.mjs page.html --id submit --lang js --all      every candidate for the element #submit
+ *   node locator-cli.mjs page.html --locator "get_by_role('link')"  prints how many elements match
+ *   node locator-cli.mjs --engine-script > engine.js                 the engine as a script for page.evaluate()
+ *
+ * Exits with 1 when the element is not found or the locator is invalid, and with 2 on usage errors.
+ */
+import { readFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { createLocatorEngine, getLocatorEngineScript } from './locator-engine.mjs';
+
+const USAGE = `Usage:
+  node locator-cli.mjs <file.html> (--css <selector> | --id <id>) [--lang <language>] [--all] [--settings <file>]
+  node locator-cli.mjs <file.html> --locator <css or Playwright locator> [--settings <file>]
+  node locator-cli.mjs --engine-script
+
+Options:
+  --css <selector>   the element to generate a locator for, by CSS selector (the first match is used)
+  --id <id>          the element to generate a locator for, by id
+  --locator <text>   print the number of elements a CSS selector or Playwright locator matches
+  --lang <language>  pytest (default), python-async, js, java or csharp
+  --all              print every candidate locator, best first, instead of only the best one
+  --settings <file>  a settings file exported from the extension's Settings page
+  --engine-script    print the engine as a browser script for page.evaluate() and exit`;
+
+const OPTIONS = {
+    css: { type: 'string' },
+    id: { type: 'string' },
+    locator: { type: 'string' },
+    lang: { type: 'string', default: 'pytest' },
+    all: { type: 'boolean', default: false },
+    settings: { type: 'string' },
+    'engine-script': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+function fail(message, exitCode) {
+    console.error(message);
+    process.exit(exitCode);
+}
+
+async function loadJsdom() {
+    try {
+        return await import('jsdom');
+    } catch (error) {
+        return fail('locator-cli needs jsdom. Install it next to this file with `npm install --no-save jsdom@29`.', 2);
+    }
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        fail(`${error.message}\n\n${USAGE}`, 2);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (values['engine-script']) {
+        process.stdout.write(await getLocatorEngineScript());
+        return;
+    }
+
+    const targets = ['css', 'id', 'locator'].filter(option => values[option] !== undefined);
+    if (positionals.length !== 1 || targets.length !== 1) fail(USAGE, 2);
+
+    const [file] = positionals;
+    const { JSDOM, VirtualConsole } = await loadJsdom();
+    let html;
+    try {
+        html = await readFile(file, 'utf8');
+    } catch (error) {
+        fail(`Cannot read ${file}: ${error.message}`, 2);
+    }
+    let settings;
+    if (values.settings) {
+        try {
+            settings = await readFile(values.settings, 'utf8');
+        } catch (error) {
+            fail(`Cannot read ${values.settings}: ${error.message}`, 2);
+        }
+    }
+
+    // jsdom reports what it doesn't implement, such as ::before styles, which the engine already tolerates.
+    // jsdom 27 renamed sendTo() to forwardTo().
+    const virtualConsole = new VirtualConsole();
+    if (virtualConsole.forwardTo) virtualConsole.forwardTo(console, { jsdomErrors: 'none' });
+    else virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+    const dom = new JSDOM(html, { url: pathToFileURL(file).href, virtualConsole });
+    const { document } = dom.window;
+    let engine;
+    try {
+        engine = await createLocatorEngine(document, { framework: values.lang, settings });
+    } catch (error) {
+        fail(`Invalid settings file: ${error.message}`, 2);
+    }
+    if (!engine.frameworks.includes(values.lang)) {
+        fail(`Unknown language "${values.lang}". Use one of: ${engine.frameworks.join(', ')}.`, 2);
+    }
+
+    if (values.locator !== undefined) {
+        try {
+            console.log(engine.countMatches(values.locator));
+        } catch (error) {
+            fail(error.toDisplayString ? error.toDisplayString() : `Invalid selector: ${error.message}`, 1);
+        }
+        return;
+    }
+
+    let element;
+    try {
+        element = values.id !== undefined ? document.getElementById(values.id) : document.querySelector(values.css);
+    } catch (error) {
+        fail(`Invalid selector: ${error.message}`, 2);
+    }
+    if (!element) fail(`No element matches ${values.id !== undefined ? `id "${values.id}"` : `"${values.css}"`}.`, 1);
+
+    if (values.all) {
+        const candidates = engine.generateLocatorCandidates(element);
+        if (candidates.length === 0) fail('No locator found for the element.', 1);
+        candidates.forEach(candidate => {
+            console.log(`${candidate.locator}\t${candidate.label}, score ${candidate.score}, matches ${candidate.matchCount}`);
+        });
+        return;
+    }
+    const locator = engine.generateLocator(element);
+    if (!locator) fail('No locator found for the element.', 1);
+    console.log(locator);
+}
+
+main();
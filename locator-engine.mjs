@@ -0,0 +1,162 @@
+/**
+ * @file locator-engine.mjs
+ * The Locator Generator and the Selector Verifier as an ES module, for use outside the extension: in Node
+ * with jsdom (see locator-cli.mjs), in a browser page, or inside Playwright's page.evaluate().
+ *
+ * The engine is the extension's own content scripts, not a copy of them. They are loaded next to this file
+ * and evaluated in a scope whose `window`, `document`, `Node`, `XPathResult` and `CSS` come from the window
+ * of the root node the engine is created for, so the same code runs against any DOM implementation.
+ *
+ *   import { createLocatorEngine } from './locator-engine.mjs';
+ *   const engine = await createLocatorEngine(dom.window.document, { framework: 'js' });
+ *   engine.generateLocator(dom.window.document.querySelector('#submit')); // "page.getByRole('button', ...)"
+ *   engine.countMatches("get_by_role('button')");                         // 3
+ */
+
+// Load order matters only for top-level constants, as in manifest.json.
+const ENGINE_SCRIPTS = [
+    'settings.js',
+    'dom-utils.js',
+    'accessibility.js',
+    'locator-parser.js',
+    'locator-evaluator.js',
+    'code-emitters.js',
+    'locator-volatility.js',
+    'locator-generator.js',
+    'assertion-snippets.js',
+    'locator-healing.js',
+];
+
+const ENGINE_GLOBALS = ['window', 'document', 'Node', 'XPathResult', 'CSS'];
+
+let engineSource = null;
+
+// --- LOADING ---
+
+async function readEngineScript(fileName) {
+    const url = new URL(fileName, import.meta.url);
+    if (url.protocol === 'file:') {
+        const { readFile } = await import('node:fs/promises');
+        return readFile(url, 'utf8');
+    }
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not load ${url}: HTTP ${response.status}`);
+    return response.text();
+}
+
+/**
+ * Builds the public API of one engine instance. It is not called here: its source is appended to the
+ * engine scripts, so the functions it refers to are theirs.
+ */
+function createEngineApi(root, options = {}) {
+    if (options.settings) {
+        setActiveSettings(typeof options.settings === 'string' ? parseImportedSettings(options.settings) : options.settings);
+    }
+    const defaultFramework = options.framework || DEFAULT_FRAMEWORK;
+    const findMatches = locator => findLocatorMatches(locator, root);
+    return {
+        root,
+        frameworks: Object.keys(CODE_EMITTERS),
+        generateLocator: (element, framework = defaultFramework) => generateBestLocator(element, framework),
+        generateLocatorCandidates: (element, framework = defaultFramework) => generateLocatorCandidates(element, framework),
+        generateAssertionSnippets: (element, framework = defaultFramework) => {
+            const [best] = generateLocatorCandidates(element, framework);
+            return best ? generateAssertionSnippets(element, best, framework) : [];
+        },
+        findMatches,
+        countMatches: locator => findMatches(locator).length,
+        parseLocatorExpression,
+        createElementFingerprint,
+        suggestLocatorHealing: (locator, fingerprint, framework = defaultFramework) => {
+            const chain = looksLikeLocatorExpression(locator)
+                ? parseLocatorExpression(locator)
+                : toLocatorChain({ method: 'locator', value: locator.trim() });
+            return suggestLocatorHealing(chain, framework, fingerprint);
+        },
+        emitLocator,
+        stripLocatorNote,
+        getImplicitRole,
+        getAccessibleName,
+        getRelativeCSS,
+        classifyToken,
+    };
+}
+
+/**
+ * Returns the body of the engine factory: every engine script followed by `return createEngineApi`.
+ */
+async function getEngineFactorySource() {
+    if (!engineSource) {
+        const sources = await Promise.all(ENGINE_SCRIPTS.map(readEngineScript));
+        engineSource = `${sources.join('\n')}\nreturn ${createEngineApi.toString()};\n`;
+    }
+    return engineSource;
+}
+
+/**
+ * CSS.escape() from the CSSOM spec, for DOM implementations such as jsdom that don't provide it.
+ */
+function escapeCssIdentifier(value) {
+    const string = String(value);
+    let result = '';
+    for (let i = 0; i < string.length; i++) {
+        const char = string.charAt(i);
+        const code = string.charCodeAt(i);
+        const isDigit = code >= 0x30 && code <= 0x39;
+        if (code === 0) {
+            result += '\uFFFD';
+        } else if ((code >= 0x01 && code <= 0x1f) || code === 0x7f || (i === 0 && isDigit)
+            || (i === 1 && isDigit && string.charCodeAt(0) === 0x2d)) {
+            result += `\\${code.toString(16)} `;
+        } else if (i === 0 && string.length === 1 && code === 0x2d) {
+            result += `\\${char}`;
+        } else if (code >= 0x80 || code === 0x2d || code === 0x5f || /[0-9A-Za-z]/.test(char)) {
+            result += char;
+        } else {
+            result += `\\${char}`;
+        }
+    }
+    return result;
+}
+
+// --- PUBLIC API ---
+
+/**
+ * Creates an engine bound to `root`, a document, shadow root or element whose document has a window (a
+ * browser window or a jsdom one). Locators are matched inside `root`. Options:
+ *   framework - the language of generated locators, a key of CODE_EMITTERS (default 'pytest')
+ *   settings  - a settings object like DEFAULT_SETTINGS, or the JSON text of a Settings page export
+ * Every call evaluates the engine afresh, so engines never share settings.
+ */
+export async function createLocatorEngine(root, options = {}) {
+    const ownerDocument = root.ownerDocument || root;
+    const view = ownerDocument.defaultView;
+    if (!view) throw new Error('The root node must belong to a document that has a window.');
+    const css = view.CSS && view.CSS.escape ? view.CSS : { escape: escapeCssIdentifier };
+    const factory = new Function(...ENGINE_GLOBALS, await getEngineFactorySource());
+    return factory(view, ownerDocument, view.Node, view.XPathResult, css)(root, options);
+}
+
+/**
+ * Returns a classic script that defines `playwrightLocatorEngine.createLocatorEngine(root, options)` in the
+ * page it runs in, for tests that drive a real browser:
+ *   await page.evaluate(await getLocatorEngineScript());
+ *   await page.evaluate(() => playwrightLocatorEngine.createLocatorEngine(document).generateLocator($el));
+ */
+export async function getLocatorEngineScript() {
+    const source = await getEngineFactorySource();
+    return [
+        '(() => {',
+        `    const factory = function (${ENGINE_GLOBALS.join(', ')}) {`,
+        source,
+        '    };',
+        '    globalThis.playwrightLocatorEngine = {',
+        '        createLocatorEngine(root = document, options = {}) {',
+        '            const view = (root.ownerDocument || root).defaultView;',
+        '            return factory(view, view.document, view.Node, view.XPathResult, view.CSS)(root, options);',
+        '        },',
+        '    };',
+        '})();',
+        '',
+    ].join('\n');
+}
@@ -0,0 +1,212 @@
+/**
+ * @file locator-evaluator.js
+ * Evaluates CSS selectors and parsed Playwright locator chains against a DOM tree, with Playwright's text
+ * matching, role and shadow-DOM-piercing rules. The Selector Verifier and the Locator Generator both use it.
+ * Nothing here touches the extension APIs, so locator-engine.mjs can run it outside the browser as well.
+ */
+
+function normalizeWhiteSpace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Matches text the way Playwright does: a RegExp is tested as-is, `exact` compares whole strings
+ * case-sensitively, and everything else is a case-insensitive substring match. Whitespace is normalized.
+ */
+function matchesTextValue(actual, expected, exact = false) {
+    const normalized = normalizeWhiteSpace(actual);
+    if (expected instanceof RegExp) {
+        expected.lastIndex = 0;
+        return expected.test(normalized);
+    }
+    const normalizedExpected = normalizeWhiteSpace(String(expected));
+    if (exact) return normalized === normalizedExpected;
+    return normalized.toLowerCase().includes(normalizedExpected.toLowerCase());
+}
+
+function getElementText(element) {
+    return element.innerText || element.textContent || '';
+}
+
+/**
+ * Visibility as Playwright defines it: a non-empty bounding box and no `visibility: hidden`. Unlike a check on
+ * offsetParent, this is right for `position: fixed` elements. Elements with `display: contents` have no box
+ * of their own and are visible when one of their children is.
+ */
+function isElementVisible(element) {
+    const style = getElementStyle(element);
+    if (style && style.display === 'contents') return Array.from(element.children).some(isElementVisible);
+    if (style && (style.visibility === 'hidden' || style.visibility === 'collapse')) return false;
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+}
+
+function sortInDocumentOrder(elements) {
+    return Array.from(new Set(elements)).sort(compareComposedOrder);
+}
+
+// Playwright's `:has-text("...")` pseudo-class, supported at the end of a selector.
+const HAS_TEXT_PSEUDO_PATTERN = /^(.*):has-text\((["'])((?:\\.|(?!\2)[^\\])*)\2\)$/;
+
+function unescapeSelectorString(value) {
+    return value.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Evaluates a CSS selector, an XPath (`xpath=...` or starting with `//`) or a Playwright text selector
+ * (`text=Submit` matches text case-insensitively, `text="Submit"` exactly, like getByText). CSS selectors may
+ * end in `:has-text("...")`, which keeps the elements whose text contains the value.
+ */
+function queryCssOrXPath(selector, scope) {
+    if (selector.startsWith('text=')) {
+        const body = selector.slice('text='.length).trim();
+        const quoted = body.match(/^(["'])(.*)\1$/);
+        const text = quoted ? unescapeSelectorString(quoted[2]) : body;
+        return queryLocatorStep({ method: 'getByText', args: [text], options: { exact: Boolean(quoted) } }, scope);
+    }
+    const hasText = selector.replace(/^css=/, '').match(HAS_TEXT_PSEUDO_PATTERN);
+    if (hasText) {
+        const text = unescapeSelectorString(hasText[3]);
+        return queryCssOrXPath(hasText[1] || '*', scope).filter(element => matchesTextValue(element.textContent, text));
+    }
+    if (selector.startsWith('xpath=') || selector.startsWith('//') || selector.startsWith('..')) {
+        const expression = selector.replace(/^xpath=/, '');
+        const ownerDocument = scope.ownerDocument || scope;
+        const snapshot = ownerDocument.evaluate(expression, scope, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        const nodes = [];
+        for (let i = 0; i < snapshot.snapshotLength; i++) {
+            if (snapshot.snapshotItem(i).nodeType === Node.ELEMENT_NODE) nodes.push(snapshot.snapshotItem(i));
+        }
+        return nodes;
+    }
+    return querySelectorAllDeep(scope, selector.replace(/^css=/, ''));
+}
+
+function matchesRoleOptions(element, role, options) {
+    if (getImplicitRole(element) !== role) return false;
+    if (!options.includeHidden && isElementHiddenForAria(element)) return false;
+    if (options.name !== undefined && options.name !== null
+        && !matchesTextValue(getAccessibleName(element, options.includeHidden), options.name, options.exact)) return false;
+    return ['checked', 'disabled', 'expanded', 'pressed', 'selected', 'level']
+        .every(state => options[state] === undefined || getAriaState(element, state) === options[state]);
+}
+
+function matchesLocatorFilter(element, options) {
+    if (options.hasText !== undefined && !matchesTextValue(element.textContent, options.hasText)) return false;
+    if (options.hasNotText !== undefined && matchesTextValue(element.textContent, options.hasNotText)) return false;
+    if (options.has && evaluateLocatorChain(options.has, [element]).length === 0) return false;
+    if (options.hasNot && evaluateLocatorChain(options.hasNot, [element]).length > 0) return false;
+    if (options.visible !== undefined && isElementVisible(element) !== options.visible) return false;
+    return true;
+}
+
+function queryLocatorStep(step, scope) {
+    const value = step.args[0];
+    const { options } = step;
+
+    if (step.method === 'locator') {
+        return queryCssOrXPath(value, scope).filter(el => matchesLocatorFilter(el, options));
+    }
+
+    const candidates = getDeepElements(scope);
+    switch (step.method) {
+        case 'getByRole':
+            return candidates.filter(el => matchesRoleOptions(el, value, options));
+        case 'getByText': {
+            const ignoredTags = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD'];
+            const matches = el => !ignoredTags.includes(el.tagName) && matchesTextValue(getElementText(el), value, options.exact);
+            // Like Playwright, report the innermost element that holds the text rather than all of its
+            // ancestors. The scope itself is a candidate too, so `filter(has=get_by_text(...))` sees direct text.
+            if (scope.nodeType === Node.ELEMENT_NODE) candidates.unshift(scope);
+            return candidates.filter(el => matches(el) && !Array.from(el.children).some(matches));
+        }
+        case 'getByLabel':
+            return candidates.filter(el => getLabelTexts(el).some(label => matchesTextValue(label, value, options.exact)));
+        case 'getByPlaceholder':
+            return candidates.filter(el => el.hasAttribute('placeholder') && matchesTextValue(el.getAttribute('placeholder'), value, options.exact));
+        case 'getByAltText':
+            return candidates.filter(el => el.hasAttribute('alt') && matchesTextValue(el.getAttribute('alt'), value, options.exact));
+        case 'getByTitle':
+            return candidates.filter(el => el.hasAttribute('title') && matchesTextValue(el.getAttribute('title'), value, options.exact));
+        case 'getByTestId':
+            return candidates.filter(el => getActiveSettings().testIdAttributes.some(attribute => {
+                const testId = el.getAttribute(attribute);
+                if (testId === null) return false;
+                return value instanceof RegExp ? matchesTextValue(testId, value) : testId === value;
+            }));
+        default:
+            return [];
+    }
+}
+
+/**
+ * Evaluates a parsed locator chain (see locator-parser.js). Each query step searches inside every
+ * element matched so far, the same way chained Playwright locators narrow their scope.
+ */
+function evaluateLocatorChain(chain, scopes) {
+    let elements = scopes;
+    for (const step of chain.steps) {
+        switch (step.method) {
+            case 'filter':
+                elements = elements.filter(el => matchesLocatorFilter(el, step.options));
+                break;
+            case 'nth': {
+                const index = step.args[0] < 0 ? elements.length + step.args[0] : step.args[0];
+                elements = elements[index] ? [elements[index]] : [];
+                break;
+            }
+            case 'frameLocator':
+                elements = elements.flatMap(scope => queryCssOrXPath(step.args[0], scope))
+                    .map(getFrameDocument)
+                    .filter(Boolean);
+                break;
+            case 'contentFrame':
+                elements = elements.map(getFrameDocument).filter(Boolean);
+                break;
+            case 'first':
+                elements = elements.slice(0, 1);
+                break;
+            case 'last':
+                elements = elements.slice(-1);
+                break;
+            case 'and': {
+                const others = new Set(evaluateLocatorChain(step.args[0], scopes));
+                elements = elements.filter(el => others.has(el));
+                break;
+            }
+            case 'or':
+                elements = sortInDocumentOrder([...elements, ...evaluateLocatorChain(step.args[0], scopes)]);
+                break;
+            default:
+                elements = sortInDocumentOrder(elements.flatMap(scope => queryLocatorStep(step, scope)));
+        }
+    }
+    return elements.filter(el => el.nodeType === Node.ELEMENT_NODE);
+}
+
+/**
+ * Returns the elements inside `root` matched by a Playwright locator expression or a selector (CSS, XPath or
+ * `text=`, see queryCssOrXPath). Throws a LocatorParseError for malformed locator expressions, and a
+ * DOMException for invalid CSS or XPath.
+ */
+function findLocatorMatches(locatorString, root = document) {
+    if (looksLikeLocatorExpression(locatorString)) {
+        return evaluateLocatorChain(parseLocatorExpression(locatorString), [root]);
+    }
+    return queryCssOrXPath(locatorString.trim(), root);
+}
+
+/**
+ * Describes a matched element for the verifier's match list. `box` is in top-level viewport coordinates.
+ */
+function describeMatch(element) {
+    const rect = getViewportRect(element);
+    return {
+        tag: element.tagName.toLowerCase(),
+        role: getImplicitRole(element) || '',
+        name: normalizeWhiteSpace(getAccessibleName(element)),
+        text: normalizeWhiteSpace(getElementText(element)).slice(0, 80),
+        visible: isElementVisible(element),
+        box: { x: Math.round(rect.left), y: Math.round(rect.top), width: Math.round(rect.width), height: Math.round(rect.height) },
+    };
+}
@@ -0,0 +1,470 @@
+/**
+ * @file locator-generator.js
+ * The "Locator Generator": computes every applicable locator for a picked element, checks each one against
+ * the live page and ranks them by stability. content.js shows the ranked list on the page and in the popup.
+ */
+
+// --- CONSTANTS ---
+
+const FALLBACK_STRATEGIES = ['css', 'xpath'];
+
+// Names and texts longer than this make for unreadable, fragile locators.
+const MAX_LOCATOR_TEXT_LENGTH = 120;
+
+// Roles whose elements repeat by nature. Other repeating items, such as cards, are recognised by structure.
+const REPEATING_ITEM_ROLES = ['row', 'listitem', 'article', 'option', 'treeitem', 'menuitem', 'tab'];
+// Cells repeat within a row; they are located by their column header instead.
+const CELL_ROLES = ['cell', 'gridcell', 'columnheader', 'rowheader'];
+// Strategies whose locators can tell one repeating item from the others in filter(has=...).
+const ITEM_ANCHOR_STRATEGIES = ['testId', 'roleName', 'label', 'placeholder', 'altText', 'title'];
+const MAX_REPEATING_ITEM_DEPTH = 6;
+const MAX_FILTER_TEXT_LENGTH = 60;
+// Large items are searched for anchors up to this many descendants.
+const MAX_ITEM_ANCHOR_ELEMENTS = 50;
+
+// --- HELPERS ---
+
+function getTestId(element) {
+    for (const attribute of getActiveSettings().testIdAttributes) {
+        const value = element.getAttribute(attribute);
+        if (value) return value;
+    }
+    return null;
+}
+
+function toCssString(value) {
+    return `"${value.replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ')}"`;
+}
+
+/**
+ * Returns a CSS selector for the element within its parent: its id when that is stable and unique, otherwise
+ * its tag with a stable identifying attribute or its stable classes, plus :nth-of-type() when that still
+ * matches several siblings. Volatile ids, classes and attribute values (see locator-volatility.js) are left out.
+ */
+function getRelativeCSS(element) {
+    const id = getStableId(element);
+    if (id && querySelectorAllDeep(element.ownerDocument, `#${CSS.escape(id)}`).length === 1) return `#${CSS.escape(id)}`;
+
+    const tagName = element.tagName.toLowerCase();
+    const classSelector = tagName + getStableClasses(element).map(cls => `.${CSS.escape(cls)}`).join('');
+    const siblings = Array.from(element.parentNode.children);
+    const isUniqueAmongSiblings = selector => siblings.filter(sibling => sibling.matches(selector)).length === 1;
+    const attributeSelector = getStableAttributes(element)
+        .map(({ name, value }) => `${tagName}[${name}=${toCssString(value)}]`)
+        .find(isUniqueAmongSiblings);
+    if (attributeSelector) return attributeSelector;
+    if (isUniqueAmongSiblings(classSelector)) return classSelector;
+
+    const sameTagSiblings = siblings.filter(sibling => sibling.tagName === element.tagName);
+    return `${classSelector}:nth-of-type(${sameTagSiblings.indexOf(element) + 1})`;
+}
+
+/**
+ * Builds a CSS path from the element up through its ancestors until it matches only that element.
+ * Steps that cross into a shadow root use a descendant combinator, which Playwright lets pierce shadow DOM.
+ */
+function getCssPath(element) {
+    const root = element.ownerDocument;
+    let path = getRelativeCSS(element);
+    let current = element;
+    for (let depth = 0; depth < 6; depth++) {
+        const matches = querySelectorAllDeep(root, path);
+        if (matches.length === 1 && matches[0] === element) break;
+        const parent = getComposedParent(current);
+        if (!parent || parent.tagName === 'HTML') break;
+        const separator = parent.shadowRoot && parent.shadowRoot === current.getRootNode() ? ' ' : ' > ';
+        path = getRelativeCSS(parent) + separator + path;
+        current = parent;
+    }
+    return path;
+}
+
+function toXPathLiteral(value) {
+    if (!value.includes('"')) return `"${value}"`;
+    if (!value.includes("'")) return `'${value}'`;
+    return `concat(${value.split('"').map(part => `"${part}"`).join(`, '"', `)})`;
+}
+
+function isUniqueXPath(expression, element) {
+    const snapshot = element.ownerDocument.evaluate(expression, element.ownerDocument, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    return snapshot.snapshotLength === 1 && snapshot.snapshotItem(0) === element;
+}
+
+/**
+ * Returns XPath predicates that identify the element without its position: a stable id or attribute, or
+ * its text.
+ */
+function getXPathPredicates(element) {
+    const predicates = [];
+    const id = getStableId(element);
+    if (id) predicates.push(`[@id=${toXPathLiteral(id)}]`);
+    getStableAttributes(element).forEach(({ name, value }) => predicates.push(`[@${name}=${toXPathLiteral(value)}]`));
+    const text = normalizeWhiteSpace(element.textContent);
+    if (text && text.length < MAX_LOCATOR_TEXT_LENGTH) predicates.push(`[normalize-space()=${toXPathLiteral(text)}]`);
+    return predicates;
+}
+
+function getXPathStep(element) {
+    const tagName = element.tagName.toLowerCase();
+    const sameTagSiblings = element.parentElement
+        ? Array.from(element.parentElement.children).filter(sibling => sibling.tagName === element.tagName)
+        : [element];
+    return sameTagSiblings.length > 1 ? `${tagName}[${sameTagSiblings.indexOf(element) + 1}]` : tagName;
+}
+
+/**
+ * Builds an XPath for the element. It is anchored on the element's own stable id, attribute or text when
+ * one of them is unique, then on the nearest ancestor with a stable id, and is index-based from the root
+ * otherwise. XPath cannot enter shadow roots, so returns null there.
+ */
+function getXPath(element) {
+    if (element.getRootNode() !== element.ownerDocument) return null;
+    const tagName = element.tagName.toLowerCase();
+    const anchored = getXPathPredicates(element)
+        .map(predicate => `//${tagName}${predicate}`)
+        .find(expression => isUniqueXPath(expression, element));
+    if (anchored) return anchored;
+
+    const steps = [];
+    for (let current = element; current && current.nodeType === Node.ELEMENT_NODE; current = current.parentElement) {
+        const id = current !== element && getStableId(current);
+        if (id) {
+            const expression = `//*[@id=${toXPathLiteral(id)}]/${steps.join('/')}`;
+            if (isUniqueXPath(expression, element)) return expression;
+        }
+        steps.unshift(getXPathStep(current));
+    }
+    return '/' + steps.join('/');
+}
+
+/**
+ * Returns a `tag:has-text("...")` selector for an element whose ids and classes are all volatile, when the
+ * element has short text of its own and the selector is unique. Returns null otherwise.
+ */
+function getTextCss(element) {
+    if (!hasOnlyVolatileHooks(element)) return null;
+    const text = normalizeWhiteSpace(element.textContent);
+    if (!text || text.length >= MAX_LOCATOR_TEXT_LENGTH) return null;
+    const selector = `${element.tagName.toLowerCase()}:has-text(${toCssString(text)})`;
+    const matches = queryCssOrXPath(selector, element.ownerDocument);
+    return matches.length === 1 && matches[0] === element ? selector : null;
+}
+
+function getFrameSelector(frameElement) {
+    const frameDocument = frameElement.ownerDocument;
+    const candidates = [];
+    const id = getStableId(frameElement);
+    if (id) candidates.push(`#${CSS.escape(id)}`);
+    ['name', 'title', 'src'].forEach(attribute => {
+        const value = frameElement.getAttribute(attribute);
+        if (value && !isVolatileToken(value, 'attribute')) candidates.push(`${frameElement.tagName.toLowerCase()}[${attribute}=${toCssString(value)}]`);
+    });
+    const unique = candidates.find(selector => querySelectorAllDeep(frameDocument, selector).length === 1);
+    return unique || getCssPath(frameElement);
+}
+
+/**
+ * Turns a locator spec into a one-step chain, the structure shared with the parser and the code emitters.
+ */
+function toLocatorChain(spec) {
+    return { steps: [{ method: spec.method, args: [spec.value], options: spec.options || {} }] };
+}
+
+/**
+ * Returns the elements a generated locator chain matches when evaluated inside `scope`.
+ */
+function evaluateGeneratedLocator(chain, scope) {
+    return evaluateLocatorChain(chain, [scope]);
+}
+
+function isUniqueMatch(chain, element, scope) {
+    const matches = evaluateGeneratedLocator(chain, scope);
+    return matches.length === 1 && matches[0] === element;
+}
+
+// --- REPEATING ITEMS ---
+// Lists, tables and card grids: the item is picked by its content, e.g.
+//   page.get_by_role("row").filter(has_text="Order #1234").get_by_role("button", name="Delete")
+// rather than by its position, which changes whenever the data does.
+
+/**
+ * Returns an element's tag and the tags of its children, so that items rendered from one template compare
+ * equal whatever their content.
+ */
+function getStructureSignature(element) {
+    return `${element.tagName}(${Array.from(element.children).map(child => child.tagName).join(',')})`;
+}
+
+function isRepeatingItem(node) {
+    const parent = node.parentElement;
+    const role = getImplicitRole(node);
+    if (!parent || CELL_ROLES.includes(role)) return false;
+    const siblings = Array.from(parent.children).filter(sibling => sibling !== node);
+    if (REPEATING_ITEM_ROLES.includes(role)) return siblings.some(sibling => getImplicitRole(sibling) === role);
+    const signature = getStructureSignature(node);
+    return node.children.length > 0 && siblings.some(sibling => getStructureSignature(sibling) === signature);
+}
+
+/**
+ * Returns the element and its ancestors that are one of several alike siblings (table rows, list items,
+ * cards built from the same markup), nearest first.
+ */
+function getRepeatingItems(element) {
+    const items = [];
+    let node = element;
+    for (let depth = 0; node && node.tagName !== 'BODY' && depth < MAX_REPEATING_ITEM_DEPTH; depth++) {
+        if (isRepeatingItem(node)) items.push(node);
+        node = node.parentElement;
+    }
+    return items;
+}
+
+/**
+ * Returns a locator that matches the item together with its alike siblings: its role, or its tag and the
+ * stable classes it shares with them.
+ */
+function getItemBaseLocator(item) {
+    const role = getImplicitRole(item);
+    if (REPEATING_ITEM_ROLES.includes(role) && isStrategyEnabled('role')) return toLocatorChain({ method: 'getByRole', value: role });
+    const signature = getStructureSignature(item);
+    const alike = Array.from(item.parentElement.children).filter(sibling => getStructureSignature(sibling) === signature);
+    const sharedClasses = getStableClasses(item).filter(cls => alike.every(sibling => sibling.classList.contains(cls)));
+    return toLocatorChain({ method: 'locator', value: item.tagName.toLowerCase() + sharedClasses.map(cls => `.${CSS.escape(cls)}`).join('') });
+}
+
+/**
+ * Returns the short texts an item shows, in document order: each element's own text nodes, joined.
+ */
+function getItemTexts(item) {
+    const texts = [];
+    [item, ...item.querySelectorAll('*')].forEach(node => {
+        if (['SCRIPT', 'STYLE', 'TEMPLATE'].includes(node.tagName)) return;
+        const text = normalizeWhiteSpace(Array.from(node.childNodes)
+            .filter(child => child.nodeType === Node.TEXT_NODE)
+            .map(child => child.textContent)
+            .join(' '));
+        if (text && text.length <= MAX_FILTER_TEXT_LENGTH && !texts.includes(text)) texts.push(text);
+    });
+    return texts;
+}
+
+/**
+ * Returns the filter steps that could single the item out, best first: a descendant's test id, then the
+ * item's texts, then descendants with another identifying locator.
+ */
+function getItemFilters(item, element) {
+    const anchors = Array.from(item.querySelectorAll('*'))
+        .filter(descendant => descendant !== element)
+        .slice(0, MAX_ITEM_ANCHOR_ELEMENTS)
+        .flatMap(descendant => getDirectLocatorSpecs(descendant))
+        .filter(spec => ITEM_ANCHOR_STRATEGIES.includes(spec.strategy) && isStrategyEnabled(spec.strategy));
+    const hasFilter = spec => ({ method: 'filter', args: [], options: { has: toLocatorChain(spec) } });
+    return [
+        ...anchors.filter(spec => spec.strategy === 'testId').map(hasFilter),
+        ...getItemTexts(item).map(text => ({ method: 'filter', args: [], options: { hasText: text } })),
+        ...anchors.filter(spec => spec.strategy !== 'testId').map(hasFilter),
+    ];
+}
+
+/**
+ * Returns an XPath, relative to the row, that finds `cell` by the text of its column header, so that it
+ * survives reordered columns. Returns null when the table has no header row, uses colspan or repeats the
+ * header text.
+ */
+function getColumnHeaderXPath(cell) {
+    const row = cell.parentElement;
+    const table = cell.closest('table');
+    if (!table || !row || row.tagName !== 'TR') return null;
+    const headerRow = Array.from(table.rows).find(tableRow => tableRow.cells.length > 0
+        && Array.from(tableRow.cells).every(headerCell => headerCell.tagName === 'TH'));
+    if (!headerRow || headerRow === row) return null;
+    if ([...headerRow.cells, ...row.cells].some(tableCell => tableCell.colSpan > 1)) return null;
+    const headerTexts = Array.from(headerRow.cells).map(headerCell => normalizeWhiteSpace(headerCell.textContent));
+    const headerText = headerTexts[Array.from(row.cells).indexOf(cell)];
+    if (!headerText || headerText.length > MAX_FILTER_TEXT_LENGTH || headerTexts.indexOf(headerText) !== headerTexts.lastIndexOf(headerText)) return null;
+    const header = `(ancestor::table[1]//tr[th])[1]/th[normalize-space()=${toXPathLiteral(headerText)}]`;
+    return `xpath=*[count(${header}/preceding-sibling::*) + 1]`;
+}
+
+/**
+ * Returns the steps that lead from the item to the element: none when the element is the item, a cell by
+ * its column header, or a locator that is unique inside the item. Returns null when there is none.
+ */
+function getItemChildLocator(element, item) {
+    if (element === item) return { steps: [] };
+    const childLocators = getDirectLocatorSpecs(element)
+        .filter(spec => isStrategyEnabled(spec.strategy))
+        .map(toLocatorChain)
+        .concat(toLocatorChain({ method: 'locator', value: getRelativeCSS(element) }));
+
+    const cell = element.closest('td, th');
+    const columnXPath = cell && item.contains(cell) && cell !== item ? getColumnHeaderXPath(cell) : null;
+    const cellLocator = columnXPath && toLocatorChain({ method: 'locator', value: columnXPath });
+    if (cellLocator && cell === element) return cellLocator;
+
+    const direct = childLocators.find(chain => isUniqueMatch(chain, element, item));
+    if (direct) return direct;
+    if (cellLocator) {
+        const inCell = childLocators.find(chain => isUniqueMatch(chain, element, cell));
+        if (inCell) return { steps: cellLocator.steps.concat(inCell.steps) };
+    }
+    return null;
+}
+
+/**
+ * Builds a locator through the nearest repeating item (see getRepeatingItems) that its content tells apart
+ * from its siblings. Returns null when the element is not in such an item.
+ */
+function getRepeatingItemLocator(element) {
+    for (const item of getRepeatingItems(element)) {
+        const childLocator = getItemChildLocator(element, item);
+        if (!childLocator) continue;
+        const baseLocator = getItemBaseLocator(item);
+        const items = evaluateGeneratedLocator(baseLocator, element.ownerDocument);
+        if (!items.includes(item)) continue;
+        const filter = getItemFilters(item, element).find(step => {
+            const matches = evaluateLocatorChain({ steps: [step] }, items);
+            return matches.length === 1 && matches[0] === item;
+        });
+        if (filter) return { steps: [...baseLocator.steps, filter, ...childLocator.steps] };
+    }
+    return null;
+}
+
+// --- CANDIDATES ---
+
+/**
+ * Returns the single-step locators that apply to an element, in strategy priority order.
+ */
+function getDirectLocatorSpecs(element) {
+    const specs = [];
+    const role = getImplicitRole(element);
+    const accName = getAccessibleName(element);
+    const text = normalizeWhiteSpace(getElementText(element));
+    const isShort = value => value && value.length < MAX_LOCATOR_TEXT_LENGTH;
+
+    const testId = getTestId(element);
+    if (testId) specs.push({ strategy: 'testId', method: 'getByTestId', value: testId });
+
+    if (role && isShort(accName)) specs.push({ strategy: 'roleName', method: 'getByRole', value: role, options: { name: accName, exact: true } });
+
+    const label = getLabelTexts(element)[0];
+    if (isShort(label)) specs.push({ strategy: 'label', method: 'getByLabel', value: label, options: { exact: true } });
+
+    const placeholder = element.getAttribute('placeholder');
+    if (placeholder) specs.push({ strategy: 'placeholder', method: 'getByPlaceholder', value: placeholder, options: { exact: true } });
+
+    const altText = element.getAttribute('alt');
+    if (altText) specs.push({ strategy: 'altText', method: 'getByAltText', value: altText, options: { exact: true } });
+
+    const title = element.getAttribute('title');
+    if (title) specs.push({ strategy: 'title', method: 'getByTitle', value: title, options: { exact: true } });
+
+    if (isShort(text)) specs.push({ strategy: 'text', method: 'getByText', value: text, options: { exact: true } });
+
+    if (role) specs.push({ strategy: 'role', method: 'getByRole', value: role });
+
+    return specs;
+}
+
+/**
+ * Looks for the closest ancestor (up to four levels) with a unique locator of its own, and scopes a child
+ * locator that is unique inside it. Returns the combined chain, or null when no such pair exists.
+ */
+function getChainedLocator(element) {
+    const childLocators = getDirectLocatorSpecs(element)
+        .filter(spec => isStrategyEnabled(spec.strategy))
+        .concat({ method: 'locator', value: getRelativeCSS(element) })
+        .map(toLocatorChain);
+
+    let ancestor = getComposedParent(element);
+    for (let i = 0; i < 4 && ancestor && ancestor.tagName !== 'BODY'; i++) {
+        const parentLocator = getDirectLocatorSpecs(ancestor)
+            .filter(spec => spec.strategy !== 'text') // a container's full text makes a brittle anchor
+            .filter(spec => isStrategyEnabled(spec.strategy))
+            .map(toLocatorChain)
+            .find(chain => isUniqueMatch(chain, ancestor, ancestor.ownerDocument));
+        if (parentLocator) {
+            const childLocator = childLocators.find(chain => isUniqueMatch(chain, element, ancestor));
+            if (childLocator) return { steps: parentLocator.steps.concat(childLocator.steps) };
+        }
+        ancestor = getComposedParent(ancestor);
+    }
+    return null;
+}
+
+function scoreCandidate(strategy, matchCount, matchesTarget) {
+    if (!matchesTarget) return 0;
+    const baseScore = getStrategyScore(strategy);
+    return matchCount === 1 ? baseScore : Math.round(baseScore / matchCount);
+}
+
+function prefixWithFrames(chain, element) {
+    const frameSteps = getFrameChain(element)
+        .map(frameElement => ({ method: 'frameLocator', args: [getFrameSelector(frameElement)], options: {} }));
+    return { steps: frameSteps.concat(chain.steps) };
+}
+
+/**
+ * Computes every applicable locator for an element and checks each one against the live page.
+ * Returns candidates sorted best first: unique locators before ambiguous ones, then by stability score.
+ * Each candidate is { strategy, label, chain, locator, verifierLocator, matchCount, score, isFallback }, where
+ * `chain` is the language-neutral step list, `locator` is code in the chosen framework and `verifierLocator`
+ * the same locator in a syntax the Selector Verifier accepts. Elements inside same-origin iframes get a frame_locator()/frameLocator()
+ * prefix for every frame above them.
+ */
+function generateLocatorCandidates(element, framework) {
+    const drafts = getDirectLocatorSpecs(element)
+        .map(spec => ({ strategy: spec.strategy, chain: toLocatorChain(spec) }));
+
+    const repeating = getRepeatingItemLocator(element);
+    if (repeating) drafts.push({ strategy: 'chained', chain: repeating });
+    const chained = getChainedLocator(element);
+    if (chained) drafts.push({ strategy: 'chained', chain: chained });
+
+    // When every CSS hook of the element is volatile, its text makes a steadier selector than its position.
+    const textCss = getTextCss(element);
+    if (textCss) drafts.push({ strategy: 'css', chain: toLocatorChain({ method: 'locator', value: textCss }) });
+    drafts.push({ strategy: 'css', chain: toLocatorChain({ method: 'locator', value: getCssPath(element) }) });
+    const xpath = getXPath(element);
+    if (xpath) drafts.push({ strategy: 'xpath', chain: toLocatorChain({ method: 'locator', value: `xpath=${xpath}` }) });
+
+    const seen = new Set();
+    return drafts
+        .filter(draft => isStrategyEnabled(draft.strategy))
+        .filter(draft => {
+            const key = emitLocator(draft.chain, 'js');
+            return !seen.has(key) && seen.add(key);
+        })
+        .map(draft => {
+            const matches = evaluateGeneratedLocator(draft.chain, element.ownerDocument);
+            const matchesTarget = matches.includes(element);
+            const chain = prefixWithFrames(draft.chain, element);
+            return {
+                strategy: draft.strategy,
+                label: LOCATOR_STRATEGIES[draft.strategy].label,
+                chain,
+                locator: emitLocator(chain, framework),
+                verifierLocator: emitLocator(chain, getVerifierFramework(framework)),
+                matchCount: matches.length,
+                score: scoreCandidate(draft.strategy, matches.length, matchesTarget),
+                isFallback: FALLBACK_STRATEGIES.includes(draft.strategy),
+            };
+        })
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => (b.matchCount === 1) - (a.matchCount === 1) || b.score - a.score);
+}
+
+/**
+ * Returns the top candidate's locator, with a warning comment appended when it is a CSS or XPath fallback.
+ */
+function formatBestLocator(candidates, framework) {
+    const best = candidates[0];
+    if (!best) return null;
+    if (!best.isFallback) return best.locator;
+    return `${best.locator} ${emitComment(`WARNING: ${best.label} selector fallback. Consider adding a data-testid.`, framework)}`;
+}
+
+function generateBestLocator(element, framework) {
+    return formatBestLocator(generateLocatorCandidates(element, framework), framework);
+}
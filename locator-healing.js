@@ -0,0 +1,268 @@
+/**
+ * @file locator-healing.js
+ * Drift detection for saved locators. When a locator is generated, the element it points to is fingerprinted:
+ *   { tag, role, name, text, attributes: { name: value }, path: ['button', 'form', ...], labels: [...] }
+ * where `path` lists the tags of the element and its ancestors, nearest first, and `labels` holds the texts
+ * around it (nearby headings, legends and sibling text). When a saved locator later matches no element or
+ * several, the elements of the page are scored against its fingerprint and the likeliest one gets a freshly
+ * generated locator, shown as a diff against the old one.
+ */
+
+// --- CONSTANTS ---
+
+// Attributes that identify an element across releases; the configured test id attributes are added to these.
+const FINGERPRINT_ATTRIBUTES = ['id', 'name', 'type', 'placeholder', 'href', 'title', 'alt', 'aria-label', 'for', 'class'];
+const FINGERPRINT_TEXT_LENGTH = 80;
+const FINGERPRINT_PATH_LENGTH = 6;
+const FINGERPRINT_LABEL_LENGTH = 40;
+
+// How much each part of the fingerprint counts towards the score.
+const FINGERPRINT_WEIGHTS = { tag: 1, role: 2, name: 3, text: 2, attributes: 3, path: 1, labels: 1 };
+
+// Elements scoring below this (out of 1) are not suggested as the new target.
+const MIN_HEALING_SCORE = 0.5;
+// Large pages are scored up to this many elements.
+const MAX_HEALING_ELEMENTS = 5000;
+
+// --- FINGERPRINTS ---
+
+function truncateText(text, length) {
+    return normalizeWhiteSpace(text).slice(0, length);
+}
+
+function getFingerprintAttributes(element) {
+    const names = [...FINGERPRINT_ATTRIBUTES, ...getActiveSettings().testIdAttributes];
+    return Object.fromEntries(names
+        .filter(name => element.hasAttribute(name))
+        .map(name => [name, truncateText(element.getAttribute(name), FINGERPRINT_TEXT_LENGTH)]));
+}
+
+function getFingerprintPath(element) {
+    const path = [];
+    for (let node = element; node && node.tagName !== 'HTML' && path.length < FINGERPRINT_PATH_LENGTH; node = getComposedParent(node)) {
+        path.push(node.tagName.toLowerCase());
+    }
+    return path;
+}
+
+/**
+ * Returns the texts a reader would use to find the element: the text beside it in its parent, the text of
+ * its neighbouring siblings and the nearest heading, legend or caption among its ancestors' children.
+ */
+function getNeighbouringLabels(element) {
+    const labels = [];
+    if (element.parentNode) {
+        labels.push(Array.from(element.parentNode.childNodes)
+            .filter(node => node.nodeType === Node.TEXT_NODE)
+            .map(node => node.textContent)
+            .join(' '));
+    }
+    const siblings = [element.previousElementSibling, element.nextElementSibling];
+    siblings.forEach(sibling => {
+        if (sibling) labels.push(getElementText(sibling));
+    });
+    for (let node = element; node && node.tagName !== 'BODY'; node = getComposedParent(node)) {
+        const heading = Array.from(node.children || []).find(child => child !== element && !child.contains(element)
+            && child.matches('h1, h2, h3, h4, h5, h6, legend, caption, [role="heading"]'));
+        if (heading) {
+            labels.push(getElementText(heading));
+            break;
+        }
+    }
+    return labels
+        .map(text => truncateText(text, FINGERPRINT_LABEL_LENGTH))
+        .filter((text, index, all) => text && all.indexOf(text) === index);
+}
+
+/**
+ * Captures what identifies `element` regardless of the locator that currently finds it. The fingerprint is
+ * plain JSON, so it can be stored alongside the locator.
+ */
+function createElementFingerprint(element) {
+    return {
+        tag: element.tagName.toLowerCase(),
+        role: getImplicitRole(element) || '',
+        name: truncateText(getAccessibleName(element), FINGERPRINT_TEXT_LENGTH),
+        text: truncateText(getElementText(element), FINGERPRINT_TEXT_LENGTH),
+        attributes: getFingerprintAttributes(element),
+        path: getFingerprintPath(element),
+        labels: getNeighbouringLabels(element),
+    };
+}
+
+// --- SCORING ---
+
+function getBigrams(text) {
+    const normalized = text.toLowerCase().replace(/\s+/g, ' ');
+    const bigrams = [];
+    for (let i = 0; i < normalized.length - 1; i++) bigrams.push(normalized.slice(i, i + 2));
+    return bigrams;
+}
+
+/**
+ * Returns how alike two strings are, from 0 to 1 (the Dice coefficient of their character pairs), so that
+ * "Sign in" still resembles "Sign-in" and "Sign in now".
+ */
+function getTextSimilarity(a, b) {
+    if (a.toLowerCase() === b.toLowerCase()) return 1;
+    const left = getBigrams(a);
+    const right = getBigrams(b);
+    if (left.length === 0 || right.length === 0) return 0;
+    const remaining = [...right];
+    let shared = 0;
+    left.forEach(bigram => {
+        const index = remaining.indexOf(bigram);
+        if (index !== -1) {
+            remaining.splice(index, 1);
+            shared++;
+        }
+    });
+    return (2 * shared) / (left.length + right.length);
+}
+
+function getClassSimilarity(a, b) {
+    const left = new Set(a.split(' ').filter(Boolean));
+    const right = new Set(b.split(' ').filter(Boolean));
+    const union = new Set([...left, ...right]);
+    return union.size === 0 ? 1 : Array.from(left).filter(cls => right.has(cls)).length / union.size;
+}
+
+function getAttributeSimilarity(saved, current) {
+    const names = Object.keys(saved);
+    if (names.length === 0) return null;
+    const total = names.reduce((sum, name) => {
+        if (current[name] === undefined) return sum;
+        return sum + (name === 'class' ? getClassSimilarity(saved[name], current[name]) : Number(saved[name] === current[name]));
+    }, 0);
+    return total / names.length;
+}
+
+function getPathSimilarity(saved, current) {
+    let shared = 0;
+    while (shared < saved.length && shared < current.length && saved[shared] === current[shared]) shared++;
+    return saved.length === 0 ? null : shared / saved.length;
+}
+
+function getLabelSimilarity(saved, current) {
+    if (saved.length === 0) return null;
+    return saved.reduce((sum, label) => sum + Math.max(0, ...current.map(other => getTextSimilarity(label, other))), 0) / saved.length;
+}
+
+/**
+ * Scores how well `element` matches a saved fingerprint, from 0 to 1. Parts the fingerprint has no value for
+ * (an element without text, say) don't count either way.
+ */
+function scoreFingerprintMatch(fingerprint, element) {
+    const current = createElementFingerprint(element);
+    const similarities = {
+        tag: Number(fingerprint.tag === current.tag),
+        role: fingerprint.role ? Number(fingerprint.role === current.role) : null,
+        name: fingerprint.name ? getTextSimilarity(fingerprint.name, current.name) : null,
+        text: fingerprint.text ? getTextSimilarity(fingerprint.text, current.text) : null,
+        attributes: getAttributeSimilarity(fingerprint.attributes || {}, current.attributes),
+        path: getPathSimilarity(fingerprint.path || [], current.path),
+        labels: getLabelSimilarity(fingerprint.labels || [], current.labels),
+    };
+    let total = 0;
+    let weights = 0;
+    Object.entries(similarities).forEach(([part, similarity]) => {
+        if (similarity === null) return;
+        total += similarity * FINGERPRINT_WEIGHTS[part];
+        weights += FINGERPRINT_WEIGHTS[part];
+    });
+    const score = weights > 0 ? total / weights : 0;
+    // A hidden element is rarely what a test meant to act on.
+    return isElementVisible(element) ? score : score * 0.8;
+}
+
+/**
+ * Returns the element of the page (including open shadow roots and same-origin iframes) that best matches
+ * `fingerprint`, as { element, score }, or null when nothing scores at least MIN_HEALING_SCORE. Only elements
+ * sharing the fingerprint's tag or role are considered.
+ */
+function findFingerprintMatch(fingerprint) {
+    const elements = getAllDocuments()
+        .flatMap(doc => getDeepElements(doc))
+        .filter(element => element.tagName.toLowerCase() === fingerprint.tag
+            || (fingerprint.role && getImplicitRole(element) === fingerprint.role))
+        .slice(0, MAX_HEALING_ELEMENTS);
+    let best = null;
+    elements.forEach(element => {
+        const score = scoreFingerprintMatch(fingerprint, element);
+        if (score >= MIN_HEALING_SCORE && (!best || score > best.score)) best = { element, score };
+    });
+    return best;
+}
+
+// --- DIFF ---
+
+/**
+ * Splits a locator into diffable tokens: quoted strings, words, whitespace and single punctuation marks.
+ */
+function splitDiffTokens(locator) {
+    return locator.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[\w$-]+|\s+|[^\w\s]/g) || [];
+}
+
+/**
+ * Diffs two locators token by token (longest common subsequence). Returns the segments of the combined text
+ * in order, as [{ type: 'same' | 'removed' | 'added', text }], with adjacent segments of one type merged.
+ */
+function diffLocators(oldLocator, newLocator) {
+    const a = splitDiffTokens(oldLocator);
+    const b = splitDiffTokens(newLocator);
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const segments = [];
+    const push = (type, text) => {
+        const last = segments[segments.length - 1];
+        if (last && last.type === type) last.text += text;
+        else segments.push({ type, text });
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            push('same', a[i++]);
+            j++;
+        } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    return segments;
+}
+
+// --- HEALING ---
+
+/**
+ * Suggests a repair for a saved locator (`chain`) that no longer matches exactly one element. Returns
+ *   { element, score, match, oldLocator, newLocator, verifierLocator, chain, fingerprint, diff }
+ * where `score` is 0-100, `match` describes the element (see describeMatch in locator-evaluator.js),
+ * `newLocator` is the best locator generated for it in `framework` (`verifierLocator` in a syntax the verifier
+ * accepts), `fingerprint` is the element's current one and `diff` compares `newLocator` with `oldLocator`
+ * (see diffLocators). Returns null when no element resembles the fingerprint closely enough.
+ */
+function suggestLocatorHealing(chain, framework, fingerprint) {
+    const best = findFingerprintMatch(fingerprint);
+    if (!best) return null;
+    const candidate = generateLocatorCandidates(best.element, framework)[0];
+    if (!candidate) return null;
+    const oldLocator = emitLocator(chain, framework);
+    const newLocator = emitLocator(candidate.chain, framework);
+    return {
+        element: best.element,
+        score: Math.round(best.score * 100),
+        match: describeMatch(best.element),
+        oldLocator,
+        newLocator,
+        verifierLocator: emitLocator(candidate.chain, getVerifierFramework(framework)),
+        chain: candidate.chain,
+        fingerprint: createElementFingerprint(best.element),
+        diff: diffLocators(oldLocator, newLocator),
+    };
+}
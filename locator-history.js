@@ -0,0 +1,200 @@
+/**
+ * @file locator-history.js
+ * The locator history: every locator generated by picking an element or found with the Selector Verifier.
+ * Entries are stored in chrome.storage.local, newest first, as
+ *   { id, chain, framework, source: 'generated' | 'verified', url, origin, tag, text, fingerprint, timestamp, pinned }
+ * Like page objects, entries keep the language-neutral chain, so any entry can be shown in any language.
+ * `fingerprint` describes the element the locator found (see locator-healing.js), or is null.
+ * Unpinned entries beyond MAX_HISTORY_ENTRIES are pruned, oldest first; pinned entries are kept until unpinned.
+ * `origin` is the page's origin, or its scheme ("file:") for local files, whose origin is opaque.
+ */
+
+const LOCATOR_HISTORY_STORAGE_KEY = 'locatorHistory';
+const MAX_HISTORY_ENTRIES = 200;
+const HISTORY_TEXT_LENGTH = 80;
+
+// --- STORAGE ---
+
+// chrome.storage only keeps JSON, so regular expressions in verified locators are stored as { regexp, flags }.
+function toStoredChainValue(value) {
+    if (value instanceof RegExp) return { regexp: value.source, flags: value.flags };
+    if (Array.isArray(value)) return value.map(toStoredChainValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toStoredChainValue(item)]));
+    }
+    return value;
+}
+
+function fromStoredChainValue(value) {
+    if (Array.isArray(value)) return value.map(fromStoredChainValue);
+    if (value && typeof value === 'object') {
+        if (typeof value.regexp === 'string') return new RegExp(value.regexp, value.flags || '');
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromStoredChainValue(item)]));
+    }
+    return value;
+}
+
+// Entries from local files used to be saved with the opaque origin "null", e.g. { origin: 'null', url: 'null/a.html' }.
+function migrateOpaqueOrigin(entry) {
+    if (entry.origin !== 'null') return entry;
+    return { ...entry, origin: 'file:', url: entry.url.replace(/^null/, 'file://') };
+}
+
+function normalizeLocatorHistory(raw) {
+    return (Array.isArray(raw) ? raw : [])
+        .filter(entry => entry && entry.id && isLocatorChain(entry.chain))
+        .map(entry => ({ ...migrateOpaqueOrigin(entry), chain: fromStoredChainValue(entry.chain) }));
+}
+
+/**
+ * Keeps every pinned entry and the newest MAX_HISTORY_ENTRIES unpinned ones, in their original order.
+ */
+function pruneLocatorHistory(entries) {
+    let unpinned = 0;
+    return entries.filter(entry => entry.pinned || ++unpinned <= MAX_HISTORY_ENTRIES);
+}
+
+function loadLocatorHistory() {
+    return chrome.storage.local.get(LOCATOR_HISTORY_STORAGE_KEY)
+        .then(result => normalizeLocatorHistory(result[LOCATOR_HISTORY_STORAGE_KEY]));
+}
+
+function saveLocatorHistory(entries) {
+    const pruned = pruneLocatorHistory(entries);
+    const stored = pruned.map(entry => ({ ...entry, chain: toStoredChainValue(entry.chain) }));
+    return chrome.storage.local.set({ [LOCATOR_HISTORY_STORAGE_KEY]: stored }).then(() => pruned);
+}
+
+function updateLocatorHistory(mutate) {
+    return loadLocatorHistory().then(entries => saveLocatorHistory(mutate(entries)));
+}
+
+// --- SITES ---
+
+/**
+ * Returns the site a page's entries are grouped by: its origin, or its scheme when the origin is opaque.
+ */
+function getHistoryOrigin(url) {
+    const parsed = new URL(url);
+    return parsed.origin === 'null' ? parsed.protocol : parsed.origin;
+}
+
+/**
+ * Returns the name of a site for the history list: its host, or "Local files".
+ */
+function describeHistoryOrigin(origin) {
+    if (origin === 'file:') return 'Local files';
+    try {
+        return new URL(origin).host || origin;
+    } catch (error) {
+        return origin;
+    }
+}
+
+// --- ENTRIES ---
+
+/**
+ * Describes the element a locator points to, for the history list.
+ */
+function describeHistoryElement(element) {
+    return {
+        tag: element ? element.tagName.toLowerCase() : '',
+        text: element ? normalizeWhiteSpace(element.textContent).slice(0, HISTORY_TEXT_LENGTH) : '',
+    };
+}
+
+function createLocatorHistoryEntry({ chain, framework, source, url, element, fingerprint }) {
+    const parsedUrl = new URL(url);
+    return {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        chain,
+        framework,
+        source,
+        url: `${parsedUrl.protocol}//${parsedUrl.host}${parsedUrl.pathname}`,
+        origin: getHistoryOrigin(url),
+        ...describeHistoryElement(element),
+        fingerprint,
+        timestamp: Date.now(),
+        pinned: false,
+    };
+}
+
+// --- CHANGES ---
+// Content scripts in every tab and the popup all change the history, and each change rewrites the whole
+// list. Changes made close together would overwrite each other, so they are sent to background.js, which
+// applies them one at a time. A change is one of
+//   { type: 'add', entry }        an entry from createLocatorHistoryEntry(), with its chain in stored form
+//   { type: 'set', id, changes }  e.g. { pinned: true } or { framework: 'js' }
+//   { type: 'clear' }             removes every unpinned entry
+
+// Once the extension is reloaded or updated under a page, sending throws or rejects; the change is dropped.
+function sendLocatorHistoryChange(change) {
+    return Promise.resolve()
+        .then(() => chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.changeLocatorHistory, change }))
+        .catch(() => null);
+}
+
+/**
+ * Adds a locator to the top of the history. The same locator found again on the same site replaces its
+ * earlier entry, keeping the pin (and the fingerprint when none is given), so re-verifying an entry doesn't
+ * duplicate it.
+ */
+function addLocatorHistoryEntry({ chain, framework, source, url, element, fingerprint = null }) {
+    const entry = createLocatorHistoryEntry({ chain, framework, source, url, element, fingerprint });
+    return sendLocatorHistoryChange({ type: 'add', entry: { ...entry, chain: toStoredChainValue(chain) } });
+}
+
+function setLocatorHistoryEntry(id, changes) {
+    return sendLocatorHistoryChange({ type: 'set', id, changes });
+}
+
+function clearLocatorHistory() {
+    return sendLocatorHistoryChange({ type: 'clear' });
+}
+
+// Used by background.js only.
+let locatorHistoryWrites = Promise.resolve();
+
+function applyLocatorHistoryChange(entries, change) {
+    switch (change.type) {
+        case 'add': {
+            const entry = { ...change.entry, chain: fromStoredChainValue(change.entry.chain) };
+            const key = emitLocator(entry.chain, 'js');
+            const previous = entries.find(other => other.origin === entry.origin && emitLocator(other.chain, 'js') === key);
+            if (previous) {
+                entry.fingerprint = entry.fingerprint || previous.fingerprint || null;
+                entry.pinned = Boolean(previous.pinned);
+            }
+            return [entry, ...entries.filter(other => other !== previous)];
+        }
+        case 'set':
+            return entries.map(entry => (entry.id === change.id ? { ...entry, ...change.changes } : entry));
+        case 'clear':
+            return entries.filter(entry => entry.pinned);
+        default:
+            return entries;
+    }
+}
+
+/**
+ * Applies a change once every change received before it has been saved.
+ */
+function queueLocatorHistoryChange(change) {
+    locatorHistoryWrites = locatorHistoryWrites
+        .then(() => updateLocatorHistory(entries => applyLocatorHistoryChange(entries, change)))
+        .catch(error => console.warn('Playwright Locator Assistant: could not update the locator history:', error.message));
+    return locatorHistoryWrites;
+}
+
+/**
+ * Returns the entries from `origin` (all sites when empty) that mention `query` in their locator, URL,
+ * tag or text, pinned entries first.
+ */
+function filterLocatorHistory(entries, query, origin) {
+    const needle = query.trim().toLowerCase();
+    return entries
+        .filter(entry => !origin || entry.origin === origin)
+        .filter(entry => !needle || [emitLocator(entry.chain, entry.framework), entry.url, entry.tag, entry.text]
+            .some(value => value.toLowerCase().includes(needle)))
+        .sort((a, b) => b.pinned - a.pinned);
+}
@@ -0,0 +1,376 @@
+/**
+ * @file locator-parser.js
+ * Tokenizer and parser for Playwright locator expressions, used by the Selector Verifier.
+ * It understands both the Python (pytest) and JavaScript (@playwright/test) syntaxes, e.g.
+ *   page.get_by_role("listitem").filter(has_text=re.compile("user", re.IGNORECASE)).first
+ *   page.getByRole('list').getByRole('listitem', { name: /User 1/i }).nth(0)
+ * The result is a chain of steps that locator-evaluator.js evaluates against the page.
+ */
+
+// --- ERRORS ---
+
+class LocatorParseError extends Error {
+    constructor(message, source, position) {
+        super(message);
+        this.name = 'LocatorParseError';
+        this.source = source;
+        this.position = position;
+    }
+
+    /** Returns the message followed by the source line and a caret under the offending position. */
+    toDisplayString() {
+        const caret = ' '.repeat(Math.max(0, this.position)) + '^';
+        return `Parse error at position ${this.position + 1}: ${this.message}\n${this.source}\n${caret}`;
+    }
+}
+
+// --- TOKENIZER ---
+
+const LOCATOR_PUNCTUATION = '.(),=:{}[];|';
+
+function tokenizeLocator(source) {
+    const tokens = [];
+    let pos = 0;
+
+    const fail = (message, at = pos) => { throw new LocatorParseError(message, source, at); };
+
+    while (pos < source.length) {
+        const ch = source[pos];
+
+        if (/\s/.test(ch)) {
+            pos++;
+            continue;
+        }
+
+        // Python string prefixes: r"...", u"...", R'...'
+        if (/[rRuU]/.test(ch) && /['"]/.test(source[pos + 1] || '')) {
+            const raw = ch === 'r' || ch === 'R';
+            const start = pos;
+            pos++;
+            tokens.push({ type: 'string', value: readString(raw), pos: start });
+            continue;
+        }
+
+        if (ch === '"' || ch === "'" || ch === '`') {
+            const start = pos;
+            tokens.push({ type: 'string', value: readString(false), pos: start });
+            continue;
+        }
+
+        // Trailing comments, e.g. the "# WARNING: ..." note the generator appends to CSS and XPath fallbacks.
+        if (ch === '#' || (ch === '/' && source[pos + 1] === '/')) {
+            const lineEnd = source.indexOf('\n', pos);
+            pos = lineEnd === -1 ? source.length : lineEnd;
+            continue;
+        }
+
+        if (ch === '/') {
+            const start = pos;
+            tokens.push({ type: 'regex', value: readRegex(), pos: start });
+            continue;
+        }
+
+        if (/[0-9]/.test(ch) || (ch === '-' && /[0-9]/.test(source[pos + 1] || ''))) {
+            const match = source.slice(pos).match(/^-?[0-9]+/);
+            tokens.push({ type: 'number', value: Number(match[0]), pos });
+            pos += match[0].length;
+            continue;
+        }
+
+        if (/[A-Za-z_$]/.test(ch)) {
+            const match = source.slice(pos).match(/^[A-Za-z_$][A-Za-z0-9_$]*/);
+            tokens.push({ type: 'ident', value: match[0], pos });
+            pos += match[0].length;
+            continue;
+        }
+
+        if (LOCATOR_PUNCTUATION.includes(ch)) {
+            tokens.push({ type: 'punct', value: ch, pos });
+            pos++;
+            continue;
+        }
+
+        fail(`Unexpected character '${ch}'`);
+    }
+
+    tokens.push({ type: 'eof', value: null, pos: source.length });
+    return tokens;
+
+    function readString(raw) {
+        const quote = source[pos];
+        const start = pos;
+        let value = '';
+        pos++;
+        while (pos < source.length && source[pos] !== quote) {
+            const ch = source[pos];
+            if (quote === '`' && ch === '$' && source[pos + 1] === '{') {
+                fail('Template literal interpolation is not supported');
+            }
+            if (ch === '\\' && pos + 1 < source.length) {
+                if (raw) {
+                    value += ch + source[pos + 1];
+                    pos += 2;
+                    continue;
+                }
+                const next = source[pos + 1];
+                const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', '0': '\0' };
+                if (next === 'u' && /^[0-9a-fA-F]{4}/.test(source.slice(pos + 2))) {
+                    value += String.fromCharCode(parseInt(source.slice(pos + 2, pos + 6), 16));
+                    pos += 6;
+                } else if (next === 'x' && /^[0-9a-fA-F]{2}/.test(source.slice(pos + 2))) {
+                    value += String.fromCharCode(parseInt(source.slice(pos + 2, pos + 4), 16));
+                    pos += 4;
+                } else {
+                    value += escapes[next] !== undefined ? escapes[next] : next;
+                    pos += 2;
+                }
+                continue;
+            }
+            value += ch;
+            pos++;
+        }
+        if (pos >= source.length) fail('Unterminated string literal', start);
+        pos++; // closing quote
+        return value;
+    }
+
+    function readRegex() {
+        const start = pos;
+        let body = '';
+        let inClass = false;
+        pos++;
+        while (pos < source.length) {
+            const ch = source[pos];
+            if (ch === '\\' && pos + 1 < source.length) {
+                body += ch + source[pos + 1];
+                pos += 2;
+                continue;
+            }
+            if (ch === '[') inClass = true;
+            else if (ch === ']') inClass = false;
+            else if (ch === '/' && !inClass) break;
+            body += ch;
+            pos++;
+        }
+        if (pos >= source.length) fail('Unterminated regular expression', start);
+        pos++; // closing slash
+        const flags = (source.slice(pos).match(/^[a-z]*/) || [''])[0];
+        pos += flags.length;
+        try {
+            return new RegExp(body, flags);
+        } catch (e) {
+            fail(`Invalid regular expression: ${e.message}`, start);
+        }
+    }
+}
+
+// --- PARSER ---
+
+// Identifiers that may precede a locator chain and carry no meaning for the verifier.
+const LOCATOR_RECEIVERS = ['await', 'page', 'self', 'this', 'frame', 'Page'];
+
+// Methods whose arguments are a query value followed by options.
+const LOCATOR_QUERY_METHODS = [
+    'getByRole', 'getByText', 'getByLabel', 'getByPlaceholder',
+    'getByAltText', 'getByTitle', 'getByTestId', 'locator', 'frameLocator',
+];
+
+// Steps that take no arguments and are written as properties in Python (`.first`, `.content_frame`).
+const LOCATOR_PROPERTY_METHODS = ['first', 'last', 'contentFrame'];
+
+// All chain steps the evaluator understands.
+const LOCATOR_CHAIN_METHODS = [...LOCATOR_QUERY_METHODS, ...LOCATOR_PROPERTY_METHODS, 'filter', 'nth', 'and', 'or'];
+
+const PYTHON_REGEX_FLAGS = { IGNORECASE: 'i', I: 'i', MULTILINE: 'm', M: 'm', DOTALL: 's', S: 's', UNICODE: 'u', U: 'u' };
+
+/**
+ * Converts snake_case names from the Python API (get_by_role, has_text, and_) to their camelCase equivalents.
+ */
+function normalizeLocatorName(name) {
+    return name.replace(/_+$/, '').replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Parses a locator expression into { steps: [{ method, args, options, pos }] }.
+ * Throws a LocatorParseError pointing at the offending position when the expression is malformed.
+ */
+function parseLocatorExpression(source) {
+    const tokens = tokenizeLocator(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const fail = (message, token = peek()) => {
+        throw new LocatorParseError(message, source, token.pos);
+    };
+    const isPunct = (value, token = peek()) => token.type === 'punct' && token.value === value;
+    const expectPunct = (value) => {
+        if (!isPunct(value)) fail(`Expected '${value}' but found ${describeToken(peek())}`);
+        return next();
+    };
+
+    const chain = parseChain();
+    while (isPunct(';')) next();
+    if (peek().type !== 'eof') fail(`Unexpected ${describeToken(peek())} after locator expression`);
+    return chain;
+
+    function parseChain() {
+        const steps = [];
+        const startToken = peek();
+
+        // Skip leading receivers such as `await self.page.` - they only tell us where the chain starts.
+        while (peek().type === 'ident' && LOCATOR_RECEIVERS.includes(peek().value)) {
+            const receiver = next();
+            if (receiver.value === 'await') continue;
+            if (!isPunct('.')) fail(`Expected '.' after '${receiver.value}'`);
+            next();
+        }
+
+        do {
+            if (steps.length > 0) next(); // consume '.'
+            const nameToken = peek();
+            if (nameToken.type !== 'ident') fail(`Expected a locator method but found ${describeToken(nameToken)}`);
+            next();
+            const method = normalizeLocatorName(nameToken.value);
+            if (!LOCATOR_CHAIN_METHODS.includes(method)) {
+                fail(`Unknown locator method '${nameToken.value}'`, nameToken);
+            }
+
+            const step = { method, args: [], options: {}, pos: nameToken.pos };
+            if (isPunct('(')) {
+                parseArguments(step);
+            } else if (!LOCATOR_PROPERTY_METHODS.includes(method)) {
+                fail(`Expected '(' after '${nameToken.value}'`);
+            }
+            validateStep(step, nameToken);
+            steps.push(step);
+        } while (isPunct('.'));
+
+        if (steps.length === 0) fail('Expected a locator expression', startToken);
+        return { steps };
+    }
+
+    function parseArguments(step) {
+        expectPunct('(');
+        while (!isPunct(')')) {
+            if (peek().type === 'eof') fail("Expected ')' to close the argument list");
+            if (isPunct('{')) {
+                Object.assign(step.options, parseObjectLiteral());
+            } else if (peek().type === 'ident' && isPunct('=', tokens[index + 1])) {
+                const key = next();
+                next(); // '='
+                step.options[normalizeLocatorName(key.value)] = parseValue();
+            } else {
+                if (Object.keys(step.options).length > 0) fail('Positional argument follows keyword argument');
+                step.args.push(parseValue());
+            }
+            if (!isPunct(',')) break;
+            next();
+        }
+        expectPunct(')');
+    }
+
+    function parseObjectLiteral() {
+        const options = {};
+        expectPunct('{');
+        while (!isPunct('}')) {
+            const keyToken = peek();
+            if (keyToken.type !== 'ident' && keyToken.type !== 'string') {
+                fail(`Expected an option name but found ${describeToken(keyToken)}`);
+            }
+            next();
+            expectPunct(':');
+            options[normalizeLocatorName(keyToken.value)] = parseValue();
+            if (!isPunct(',')) break;
+            next();
+        }
+        expectPunct('}');
+        return options;
+    }
+
+    function parseValue() {
+        const token = peek();
+        switch (token.type) {
+            case 'string':
+            case 'regex':
+            case 'number':
+                next();
+                return token.value;
+            case 'ident':
+                if (['true', 'True'].includes(token.value)) { next(); return true; }
+                if (['false', 'False'].includes(token.value)) { next(); return false; }
+                if (['null', 'None', 'undefined'].includes(token.value)) { next(); return null; }
+                if (token.value === 're') return parsePythonRegex();
+                return parseChain();
+            default:
+                return fail(`Expected a value but found ${describeToken(token)}`);
+        }
+    }
+
+    // re.compile(r"pattern", re.IGNORECASE | re.DOTALL)
+    function parsePythonRegex() {
+        const reToken = next();
+        expectPunct('.');
+        if (peek().value !== 'compile') fail("Only 're.compile(...)' is supported", peek());
+        next();
+        expectPunct('(');
+        const patternToken = peek();
+        if (patternToken.type !== 'string') fail('Expected a pattern string in re.compile()');
+        next();
+        let flags = '';
+        if (isPunct(',')) {
+            next();
+            do {
+                if (isPunct('|')) next();
+                const flagStart = peek();
+                if (peek().value === 're' && isPunct('.', tokens[index + 1])) {
+                    next();
+                    next();
+                }
+                const flagToken = next();
+                if (flagToken.type !== 'ident' || !PYTHON_REGEX_FLAGS[flagToken.value]) {
+                    fail(`Unsupported regex flag ${describeToken(flagToken)}`, flagStart);
+                }
+                flags += PYTHON_REGEX_FLAGS[flagToken.value];
+            } while (isPunct('|'));
+        }
+        expectPunct(')');
+        try {
+            return new RegExp(patternToken.value, flags);
+        } catch (e) {
+            return fail(`Invalid regular expression: ${e.message}`, reToken);
+        }
+    }
+
+    function validateStep(step, nameToken) {
+        const { method, args } = step;
+        if (LOCATOR_QUERY_METHODS.includes(method)) {
+            if (args.length !== 1) fail(`'${nameToken.value}' expects exactly one positional argument`, nameToken);
+            const acceptsRegex = !['locator', 'frameLocator', 'getByRole'].includes(method);
+            const valueIsText = typeof args[0] === 'string' || (args[0] instanceof RegExp && acceptsRegex);
+            if (!valueIsText) fail(`'${nameToken.value}' expects a string${acceptsRegex ? ' or regular expression' : ''}`, nameToken);
+        } else if (method === 'nth') {
+            if (args.length !== 1 || typeof args[0] !== 'number') fail("'nth' expects a single integer index", nameToken);
+        } else if (method === 'and' || method === 'or') {
+            if (args.length !== 1 || !args[0] || !args[0].steps) fail(`'${nameToken.value}' expects a locator argument`, nameToken);
+        } else if (args.length > 0) {
+            fail(`'${nameToken.value}' does not take positional arguments`, nameToken);
+        }
+    }
+}
+
+function describeToken(token) {
+    if (token.type === 'eof') return 'end of input';
+    if (token.type === 'string') return `string "${token.value}"`;
+    if (token.type === 'regex') return `regular expression ${token.value}`;
+    return `'${token.value}'`;
+}
+
+/**
+ * Returns true when the input looks like a Playwright locator expression rather than a plain CSS selector.
+ */
+function looksLikeLocatorExpression(source) {
+    const trimmed = source.trim();
+    return /\b(get_by_[a-z_]+|getBy[A-Za-z]+|locator|frame_locator|frameLocator)\s*\(/.test(trimmed)
+        || /^(await\s+)?((self|this)\.)?page\s*\./.test(trimmed);
+}
@@ -0,0 +1,182 @@
+/**
+ * @file locator-volatility.js
+ * Tells hand-written ids, class names and attribute values from generated ones, which change on the next
+ * build or render: CSS-modules hashes (`Button_root__x8Fj2`), styled-components (`sc-bdfBwQ`), emotion
+ * (`css-1q2w3e`), auto-incremented ids (`ember123`, `mui-7`, `:r1:`) and Tailwind-style utility classes.
+ * Known patterns are checked first, then the token's segments are tested for randomness (character entropy,
+ * digits and case changes in the middle of a word), and the user's own unstable patterns always apply.
+ * The Locator Generator leaves volatile tokens out of CSS selectors and XPaths.
+ */
+
+// --- CONSTANTS ---
+
+// Tokens generated by frameworks and CSS-in-JS libraries, checked before the randomness heuristics.
+const VOLATILE_TOKEN_PATTERNS = [
+    // `File_class__hash`, or a bare `_hash`; BEM's `block__element` has no single underscore before the `__`.
+    { reason: 'CSS modules hash', pattern: /^[A-Za-z][\w-]*_[\w-]+__[\w-]{5}$|^_(?=[\w-]*\d)[\w-]{5,}$/, kinds: ['class'] },
+    // `sc-` and a 4 to 6 letter hash in mixed case (`sc-bdfBwQ`, `sc-htpNat`); `sc-button` is hand-written.
+    { reason: 'styled-components class', pattern: /^sc-(?=[a-z]*[A-Z])(?=[A-Z]*[a-z])[A-Za-z]{4,6}$/, kinds: ['class'] },
+    { reason: 'emotion class', pattern: /^css-[a-z0-9]{4,}(?:-[\w-]+)?$/, kinds: ['class'] },
+    { reason: 'JSS class', pattern: /^(?:jss\d+|(?:makeStyles|withStyles|Mui[A-Za-z]+)-[\w-]+-\d+)$/, kinds: ['class'] },
+    { reason: 'Svelte or Astro scoped class', pattern: /^(?:svelte|astro)-[A-Za-z0-9]{5,}$/, kinds: ['class'] },
+    { reason: 'Angular generated class', pattern: /^(?:ng-tns-c\d+-\d+|_ngcontent-[\w-]+|_nghost-[\w-]+)$/, kinds: ['class'] },
+    {
+        reason: 'state class',
+        pattern: /^(?:is|has)-[\w-]+$|^(?:active|selected|open|opened|closed|focus|focused|hover|disabled|checked|expanded|collapsed|show|current|loading)$/,
+        kinds: ['class'],
+    },
+    { reason: 'React useId id', pattern: /:r[0-9a-z]+:|«r[0-9a-z]+»/, kinds: ['id', 'attribute'] },
+    {
+        reason: 'auto-incremented id',
+        pattern: /^(?:ember|ext-(?:gen|comp)|gwt-uid-|mui-|radix-|headlessui-[\w-]+-|react-select-|downshift-|rc-[\w-]+-|rc_[\w]+_|cdk-[\w-]+-|mat-[\w-]+-|ng-tns-|pr_id_)[\w-]*\d+[\w-]*$/,
+        kinds: ['id', 'attribute'],
+    },
+    { reason: 'UUID', pattern: /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i, kinds: ['id', 'class', 'attribute'] },
+    { reason: 'long number', pattern: /\d{4,}/, kinds: ['id', 'class', 'attribute'] },
+];
+
+// Utility classes describe looks, not purpose, and change whenever the design does.
+const UTILITY_CLASSES = new Set([
+    'flex', 'inline-flex', 'grid', 'inline-grid', 'block', 'inline-block', 'inline', 'hidden', 'contents',
+    'table', 'relative', 'absolute', 'fixed', 'sticky', 'static', 'truncate', 'underline', 'italic', 'uppercase',
+    'lowercase', 'capitalize', 'container', 'sr-only', 'not-sr-only', 'grow', 'shrink', 'visible', 'invisible',
+    'antialiased', 'transition', 'transform', 'shadow', 'rounded', 'border', 'outline', 'ring', 'clearfix',
+]);
+// A prefix from the first list followed by a value from the second, e.g. `px-4`, `text-center`, `bg-red-500`.
+const UTILITY_PREFIXES = [
+    'p[xytrblse]?', 'm[xytrblse]?', 'w', 'h', 'size', 'min-[wh]', 'max-[wh]', 'gap(?:-[xy])?', 'space-[xy]', 'inset(?:-[xy])?',
+    'top', 'right', 'bottom', 'left', 'z', 'order', 'basis', 'grow', 'shrink', 'flex', 'grid-cols', 'grid-rows',
+    'col(?:-span|-start|-end)?', 'row(?:-span|-start|-end)?', 'items', 'justify', 'content', 'self', 'place-\\w+', 'text',
+    'font', 'leading', 'tracking', 'bg', 'from', 'via', 'to', 'border(?:-[xytrblse])?', 'rounded(?:-[a-z]+)?', 'shadow',
+    'opacity', 'ring', 'outline', 'divide-[xy]', 'translate-[xy]', 'rotate', 'scale(?:-[xy])?', 'overflow(?:-[xy])?',
+    'cursor', 'duration', 'ease', 'delay', 'animate', 'fill', 'stroke', 'object', 'aspect', 'whitespace', 'align',
+    'd', 'float', 'position', 'fw', 'fs', 'lh',
+];
+const UTILITY_VALUES = [
+    '\\d[\\w./%]*', '\\[.+\\]', '(?:\\d?x?s|sm|md|lg|\\d?xl|xxl)(?:-[\\w.]+)?', 'px', 'auto', 'full', 'screen', 'min', 'max',
+    'fit', 'none', 'center', 'start', 'end', 'between', 'around', 'evenly', 'stretch', 'baseline', 'wrap', 'nowrap',
+    '(?:col|row)(?:-reverse)?', 'hidden', 'visible', 'scroll', 'clip', 'pointer', 'default', 'not-allowed', 'thin',
+    'extralight', 'light', 'normal', 'medium', 'semibold', 'bold', 'extrabold', 'white', 'black', 'transparent',
+    'current', 'inherit', 'sans', 'serif', 'mono', 'tight', 'snug', 'relaxed', 'loose', 'wide', 'wider', 'widest',
+    'inner', 'contain', 'cover', 'solid', 'dashed', 'dotted', 'flex', 'block', 'inline(?:-\\w+)?', 'grid', 'primary',
+    'secondary', 'success', 'danger', 'warning', 'info', 'dark', 'muted', 'body', 'left', 'right', 'top', 'bottom',
+    'absolute', 'relative', 'fixed', 'sticky', 'spin', 'pulse', 'ping', 'bounce', 'in(?:-out)?', 'out', 'linear',
+    '[a-z]+-\\d{2,3}(?:/\\d+)?',
+];
+const UTILITY_CLASS_PATTERN = new RegExp(`^-?(?:${UTILITY_PREFIXES.join('|')})-(?:${UTILITY_VALUES.join('|')})$`);
+
+// Below this length a segment is too short to judge as random.
+const MIN_RANDOM_SEGMENT_LENGTH = 5;
+
+// --- CLASSIFICATION ---
+
+/**
+ * Returns the Shannon entropy of `text` in bits per character.
+ */
+function getShannonEntropy(text) {
+    const counts = {};
+    for (const char of text) counts[char] = (counts[char] || 0) + 1;
+    return Object.values(counts).reduce((entropy, count) => {
+        const probability = count / text.length;
+        return entropy - probability * Math.log2(probability);
+    }, 0);
+}
+
+/**
+ * Returns true when a segment of a token (the parts between `-`, `_`, `.` and `:`) looks machine-made:
+ * mostly distinct characters, with digits scattered among the letters or case changes that no word has.
+ */
+function isRandomSegment(segment) {
+    if (segment.length < MIN_RANDOM_SEGMENT_LENGTH || /^\d+$/.test(segment)) return false;
+    // Hex hashes, e.g. "a3f9c2".
+    if (segment.length >= 6 && /^[0-9a-f]+$/i.test(segment) && /\d.*\d/.test(segment) && /[a-f]/i.test(segment)) return true;
+    if (getShannonEntropy(segment) < Math.log2(segment.length) * 0.8) return false;
+    const letters = segment.replace(/[^A-Za-z]/g, '');
+    const vowelRatio = letters.length > 0 ? (letters.match(/[aeiouy]/gi) || []).length / letters.length : 0;
+    const digitSwitches = (segment.match(/[A-Za-z](?=\d)|\d(?=[A-Za-z])/g) || []).length;
+    // camelCase words make a few long humps ("XMLHttpRequest"); hashes make many short ones ("bdfBwQ").
+    const humps = segment.match(/[A-Z]?[a-z]+|[A-Z]+(?![a-z])|\d+/g) || [];
+    return digitSwitches >= 3
+        || (digitSwitches >= 2 && vowelRatio < 0.3)
+        || (humps.length >= 3 && letters.length / humps.length < 2.5);
+}
+
+function isUtilityClass(token) {
+    const utility = token.replace(/^(?:[\w-]+:)+/, '').replace(/^!/, '');
+    return UTILITY_CLASSES.has(utility) || UTILITY_CLASS_PATTERN.test(utility);
+}
+
+/**
+ * Classifies an id, class name or attribute value (`kind` is 'id', 'class' or 'attribute'). Returns
+ * { volatile, reason }, where `reason` names what gave a volatile token away.
+ */
+function classifyToken(token, kind) {
+    const value = String(token || '').trim();
+    if (!value) return { volatile: true, reason: 'empty' };
+    if (matchesUnstablePattern(value)) return { volatile: true, reason: 'matches an unstable pattern in the settings' };
+    const known = VOLATILE_TOKEN_PATTERNS.find(entry => entry.kinds.includes(kind) && entry.pattern.test(value));
+    if (known) return { volatile: true, reason: known.reason };
+    if (kind === 'class' && (/[:[\]]/.test(value) || isUtilityClass(value))) return { volatile: true, reason: 'utility class' };
+    if (kind === 'class' && value.length <= 2) return { volatile: true, reason: 'too short' };
+    if (kind !== 'attribute' && /^\d/.test(value)) return { volatile: true, reason: 'starts with a digit' };
+    const segments = value.split(/[-_.:/\s]+/);
+    if (segments.some(isRandomSegment)) return { volatile: true, reason: 'random-looking characters' };
+    return { volatile: false, reason: null };
+}
+
+function isVolatileToken(token, kind) {
+    return classifyToken(token, kind).volatile;
+}
+
+// --- STABLE HOOKS ---
+
+// Identifying attributes, best first. `aria-*` attributes that describe state change as the user interacts.
+const STABLE_CSS_ATTRIBUTES = ['name', 'aria-label', 'href', 'for', 'type', 'role', 'aria-controls', 'aria-labelledby', 'aria-describedby'];
+const STATEFUL_ARIA_ATTRIBUTES = ['aria-expanded', 'aria-selected', 'aria-checked', 'aria-pressed', 'aria-current', 'aria-hidden',
+    'aria-busy', 'aria-invalid', 'aria-disabled', 'aria-activedescendant', 'aria-valuenow', 'aria-valuetext', 'aria-sort'];
+// Longer attribute values make unreadable selectors.
+const MAX_CSS_ATTRIBUTE_LENGTH = 80;
+
+function getStableId(element) {
+    const id = element.getAttribute('id');
+    return id && !isVolatileToken(id, 'id') ? id : null;
+}
+
+function getStableClasses(element) {
+    return Array.from(element.classList).filter(cls => !isVolatileToken(cls, 'class'));
+}
+
+function isStableAttributeValue(name, value) {
+    if (!value || value.length > MAX_CSS_ATTRIBUTE_LENGTH) return false;
+    if (name === 'href') {
+        if (/^(?:javascript:|#$)/i.test(value)) return false;
+        return !value.split(/[/?&=#]+/).some(part => part && isVolatileToken(part, 'attribute'));
+    }
+    // These hold id references.
+    if (['for', 'aria-controls', 'aria-labelledby', 'aria-describedby'].includes(name)) {
+        return value.split(/\s+/).every(id => !isVolatileToken(id, 'id'));
+    }
+    return !isVolatileToken(value, 'attribute');
+}
+
+/**
+ * Returns the element's identifying attributes whose values are stable, as [{ name, value }] best first:
+ * `name`, `aria-label`, `href` and the like, then any other non-state `aria-*` attribute.
+ */
+function getStableAttributes(element) {
+    const otherAria = element.getAttributeNames()
+        .filter(name => name.startsWith('aria-') && !STABLE_CSS_ATTRIBUTES.includes(name) && !STATEFUL_ARIA_ATTRIBUTES.includes(name));
+    return STABLE_CSS_ATTRIBUTES.concat(otherAria)
+        .filter(name => element.hasAttribute(name))
+        .map(name => ({ name, value: element.getAttribute(name) }))
+        .filter(({ name, value }) => isStableAttributeValue(name, value));
+}
+
+/**
+ * Returns true when the element has ids or classes but every one of them is volatile, so a CSS selector
+ * for it can only fall back on its position.
+ */
+function hasOnlyVolatileHooks(element) {
+    const hasHooks = element.hasAttribute('id') || element.classList.length > 0;
+    return hasHooks && !getStableId(element) && getStableClasses(element).length === 0 && getStableAttributes(element).length === 0;
+}
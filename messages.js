@@ -0,0 +1,54 @@
+/**
+ * @file messages.js
+ * The message protocol between the parts of the extension. Every message sent with chrome.runtime.sendMessage
+ * or chrome.tabs.sendMessage is an object `{ action, ...fields }` whose `action` is one of MESSAGE_ACTIONS.
+ * background.js is the coordinator: the popup and keyboard shortcuts ask it to start picking or recording,
+ * and it forwards the request to the tab's content scripts. The side panel and the popup's page object and
+ * verifier sections still talk to the content scripts directly, since they only act on the active tab.
+ *
+ * Loaded by the background worker, the content scripts and every extension page that sends messages.
+ */
+
+const MESSAGE_ACTIONS = Object.freeze({
+    // --- To background.js ---
+    // { tabId, framework, purpose: 'locator' | 'pageObject' } -> { status: "enabled" | "disabled" | "unavailable" }
+    startPicking: "startPicking",
+    // { tabId, framework } -> { status: "recording" | "unavailable" }
+    startRecording: "startRecording",
+    // {} -> { status: "stopped" | "unavailable" }
+    stopRecording: "stopRecording",
+    // From content scripts. { step } (see test-script.js), no response.
+    recordStep: "recordStep",
+    // From content scripts. {} -> { active, framework }
+    getRecordingState: "getRecordingState",
+    // From content scripts, to background.js and an open popup. { locator, framework, candidates, assertions }, no response.
+    elementPicked: "elementPicked",
+    // From content scripts and the popup. { change } (see locator-history.js) -> { status: "ok" } once it is saved
+    changeLocatorHistory: "changeLocatorHistory",
+
+    // --- To content.js ---
+    // { framework, purpose } -> { status: "enabled" | "disabled" }
+    togglePickingMode: "togglePickingMode",
+    // { chains, fingerprints, framework } -> { counts, healings }
+    verifyLocators: "verifyLocators",
+    // { locator, fingerprint } (locator is null when there is nothing to verify) -> the verifier's result (see findAndHighlight), also shown on the page
+    verifyLocator: "verifyLocator",
+    // { text, framework } (text is null when there is nothing to copy) -> { copied }
+    copyText: "copyText",
+    // { framework, frameId } -> { locator } for the element last right-clicked, or { locator: null }
+    copyContextMenuLocator: "copyContextMenuLocator",
+
+    // --- To recorder.js ---
+    // { active, framework } -> { status: "recording" | "stopped" }
+    setRecording: "setRecording",
+    // { matcher: 'toBeVisible' | 'toHaveText' }, no response.
+    recordAssertion: "recordAssertion",
+
+    // --- To page-audit.js ---
+    // { framework, showOverlays } -> the audit (see runPageAudit)
+    auditPage: "auditPage",
+    // { results } (null clears them) -> { status: "ok" }
+    setAuditOverlays: "setAuditOverlays",
+    // { index } -> { found }
+    revealAuditedElement: "revealAuditedElement",
+});
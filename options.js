@@ -0,0 +1,185 @@
+/**
+ * @file options.js
+ * This script manages the extension's settings page. It edits the settings defined in settings.js and
+ * stores them in chrome.storage.sync, where the content scripts pick them up. The local bridge settings
+ * (bridge.js) are kept apart in chrome.storage.local, since they describe this computer.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    // === UI Elements ===
+    const testIdAttributesInput = document.getElementById('testIdAttributes');
+    const strategyList = document.getElementById('strategyList');
+    const unstablePatternsInput = document.getElementById('unstablePatterns');
+    const saveButton = document.getElementById('saveButton');
+    const resetButton = document.getElementById('resetButton');
+    const exportButton = document.getElementById('exportButton');
+    const importButton = document.getElementById('importButton');
+    const importFile = document.getElementById('importFile');
+    const messageDiv = document.getElementById('message');
+    const bridgeEnabledInput = document.getElementById('bridgeEnabled');
+    const bridgeUrlInput = document.getElementById('bridgeUrl');
+    const bridgeStatus = document.getElementById('bridgeStatus');
+    const saveBridgeButton = document.getElementById('saveBridgeButton');
+
+    // === State Variables ===
+    let strategyOrder = [];
+    let disabledStrategies = [];
+
+    function showMessage(text, color) {
+        messageDiv.style.display = 'block';
+        messageDiv.textContent = text;
+        messageDiv.style.color = color;
+    }
+
+    function splitLines(value) {
+        return value.split('\n').map(line => line.trim()).filter(Boolean);
+    }
+
+    function renderStrategies() {
+        strategyList.replaceChildren();
+        strategyOrder.forEach((strategy, index) => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !disabledStrategies.includes(strategy);
+            checkbox.addEventListener('change', () => {
+                disabledStrategies = checkbox.checked
+                    ? disabledStrategies.filter(key => key !== strategy)
+                    : [...disabledStrategies, strategy];
+            });
+            label.append(checkbox, ` ${LOCATOR_STRATEGIES[strategy].label}`);
+
+            const moveButton = (text, offset) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-small';
+                button.textContent = text;
+                button.disabled = index + offset < 0 || index + offset >= strategyOrder.length;
+                button.addEventListener('click', () => {
+                    const reordered = strategyOrder.slice();
+                    [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+                    strategyOrder = reordered;
+                    renderStrategies();
+                });
+                return button;
+            };
+
+            item.append(label, moveButton('↑', -1), moveButton('↓', 1));
+            strategyList.appendChild(item);
+        });
+    }
+
+    function showSettings(settings) {
+        testIdAttributesInput.value = settings.testIdAttributes.join('\n');
+        unstablePatternsInput.value = settings.unstablePatterns.join('\n');
+        strategyOrder = settings.strategyOrder.slice();
+        disabledStrategies = settings.disabledStrategies.slice();
+        renderStrategies();
+    }
+
+    function readSettingsFromForm() {
+        return normalizeSettings({
+            testIdAttributes: splitLines(testIdAttributesInput.value),
+            strategyOrder,
+            disabledStrategies,
+            unstablePatterns: splitLines(unstablePatternsInput.value),
+        });
+    }
+
+    function persist(settings, successText) {
+        const { errors } = compileUnstablePatterns(settings);
+        if (errors.length > 0) {
+            showMessage(`Invalid pattern: ${errors[0]}`, '#d9534f');
+            return;
+        }
+        saveSettings(settings)
+            .then(saved => {
+                showSettings(saved);
+                showMessage(successText, '#5cb85c');
+            })
+            .catch(error => showMessage(`Could not save settings: ${error.message}`, '#d9534f'));
+    }
+
+    // --- Initialization ---
+    loadSettings().then(showSettings);
+
+    // --- Actions ---
+    saveButton.addEventListener('click', () => persist(readSettingsFromForm(), 'Settings saved.'));
+
+    resetButton.addEventListener('click', () => persist(DEFAULT_SETTINGS, 'Settings reset to defaults.'));
+
+    exportButton.addEventListener('click', function() {
+        const blob = new Blob([exportSettings(readSettingsFromForm())], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'playwright-locator-settings.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    importButton.addEventListener('click', () => importFile.click());
+
+    importFile.addEventListener('change', function() {
+        const file = importFile.files[0];
+        if (!file) return;
+        file.text().then(json => {
+            try {
+                persist(parseImportedSettings(json), `Imported settings from ${file.name}.`);
+            } catch (error) {
+                showMessage(`Import failed: ${error.message}`, '#d9534f');
+            }
+            importFile.value = '';
+        });
+    });
+
+    // --- Local bridge ---
+    const BRIDGE_STATES = {
+        off: { text: 'Off.', color: '#718096' },
+        connecting: { text: 'Connecting...', color: '#718096' },
+        connected: { text: 'Connected.', color: '#5cb85c' },
+        disconnected: { text: 'Not connected.', color: '#d9534f' },
+    };
+
+    function showBridgeStatus(status, error = '') {
+        if (error) {
+            bridgeStatus.textContent = error;
+            bridgeStatus.style.color = '#d9534f';
+            return;
+        }
+        const state = BRIDGE_STATES[status && status.state] || BRIDGE_STATES.off;
+        bridgeStatus.textContent = status && status.detail ? `${state.text} ${status.detail}` : state.text;
+        bridgeStatus.style.color = state.color;
+    }
+
+    // HTTP endpoints need a host permission, which is only asked for when the bridge is enabled.
+    function requestBridgePermission(url) {
+        if (!isHttpBridgeUrl(url)) return Promise.resolve(true);
+        const { protocol, hostname } = new URL(url);
+        return chrome.permissions.request({ origins: [`${protocol}//${hostname}/*`] });
+    }
+
+    saveBridgeButton.addEventListener('click', function() {
+        const settings = { enabled: bridgeEnabledInput.checked, url: bridgeUrlInput.value.trim() || DEFAULT_BRIDGE_SETTINGS.url };
+        const error = validateBridgeUrl(settings.url);
+        if (error) {
+            showBridgeStatus(null, error);
+            return;
+        }
+        (settings.enabled ? requestBridgePermission(settings.url) : Promise.resolve(true))
+            .then(granted => {
+                if (!granted) throw new Error('The bridge needs permission to reach the endpoint.');
+                return saveBridgeSettings(settings);
+            })
+            .catch(saveError => showBridgeStatus(null, saveError.message));
+    });
+
+    chrome.storage.local.get([BRIDGE_SETTINGS_STORAGE_KEY, BRIDGE_STATUS_STORAGE_KEY], function(result) {
+        const settings = normalizeBridgeSettings(result[BRIDGE_SETTINGS_STORAGE_KEY]);
+        bridgeEnabledInput.checked = settings.enabled;
+        bridgeUrlInput.value = settings.url;
+        showBridgeStatus(settings.enabled ? result[BRIDGE_STATUS_STORAGE_KEY] : null);
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[BRIDGE_STATUS_STORAGE_KEY]) showBridgeStatus(changes[BRIDGE_STATUS_STORAGE_KEY].newValue);
+    });
+});
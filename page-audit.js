@@ -0,0 +1,140 @@
+/**
+ * @file page-audit.js
+ * The locator health audit. It walks every interactive element on the page (including open shadow roots
+ * and same-origin iframes), runs the Locator Generator on each one and reports the elements that can only
+ * be reached through the CSS/XPath fallback, share their accessible name with another element of the same
+ * role, or have no test id. Results go to the side panel (audit.html), and are drawn as overlays on the page.
+ */
+
+// --- CONSTANTS ---
+
+const INTERACTIVE_SELECTOR = [
+    'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary', '[contenteditable="true"]',
+    '[tabindex]:not([tabindex="-1"])',
+    ...['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+        'option', 'combobox', 'textbox', 'searchbox', 'slider', 'spinbutton', 'treeitem'].map(role => `[role="${role}"]`),
+].join(', ');
+
+// Large pages are audited up to this many elements; generating locators for each one is not free.
+const MAX_AUDITED_ELEMENTS = 500;
+
+const AUDIT_ISSUES = {
+    cssFallback: { label: 'CSS/XPath fallback only', color: '#e06c75' },
+    duplicateName: { label: 'Duplicate accessible name', color: '#e5c07b' },
+    missingTestId: { label: 'Missing test id', color: '#61afef' },
+};
+
+// --- STATE ---
+
+let auditedElements = [];
+let auditOverlay = null;
+
+// --- AUDIT ---
+
+function getInteractiveElements() {
+    return getAllDocuments()
+        .flatMap(doc => getDeepElements(doc))
+        .filter(element => element.matches(INTERACTIVE_SELECTOR) && !isElementHiddenForAria(element));
+}
+
+/**
+ * Audits the page and returns { results, total, truncated }. Each result is
+ * { index, tag, role, name, locator, strategy, matchCount, issues }, where `issues` lists AUDIT_ISSUES keys.
+ */
+function runPageAudit(framework) {
+    const elements = getInteractiveElements();
+    auditedElements = elements.slice(0, MAX_AUDITED_ELEMENTS);
+
+    const described = auditedElements.map(element => ({
+        element,
+        role: getImplicitRole(element),
+        name: normalizeWhiteSpace(getAccessibleName(element)),
+    }));
+    const nameCounts = new Map();
+    described.forEach(({ role, name }) => {
+        if (name) nameCounts.set(`${role}|${name}`, (nameCounts.get(`${role}|${name}`) || 0) + 1);
+    });
+
+    const results = described.map(({ element, role, name }, index) => {
+        const best = generateLocatorCandidates(element, framework)[0];
+        const issues = [];
+        if (!best || best.isFallback) issues.push('cssFallback');
+        if (name && nameCounts.get(`${role}|${name}`) > 1) issues.push('duplicateName');
+        if (!getTestId(element)) issues.push('missingTestId');
+        return {
+            index,
+            tag: element.tagName.toLowerCase(),
+            role: role || '',
+            name,
+            locator: best ? best.locator : '',
+            strategy: best ? best.label : '',
+            matchCount: best ? best.matchCount : 0,
+            issues,
+        };
+    });
+    return { results, total: elements.length, truncated: elements.length > auditedElements.length };
+}
+
+// --- OVERLAYS ---
+
+function clearAuditOverlays() {
+    if (auditOverlay) {
+        auditOverlay.remove();
+        auditOverlay = null;
+    }
+}
+
+// Outlines every audited element in the color of its first issue, or green when it has none.
+function showAuditOverlays(results) {
+    clearAuditOverlays();
+    auditOverlay = document.createElement('div');
+    auditOverlay.style.cssText = 'position: absolute; top: 0; left: 0; width: 0; height: 0; pointer-events: none; z-index: 2147483646;';
+    results.forEach(result => {
+        const element = auditedElements[result.index];
+        if (!element || !element.isConnected) return;
+        const rect = getPageRect(element);
+        if (rect.width === 0 && rect.height === 0) return;
+        const color = result.issues.length > 0 ? AUDIT_ISSUES[result.issues[0]].color : '#98c379';
+        const box = document.createElement('div');
+        box.title = result.issues.map(issue => AUDIT_ISSUES[issue].label).join(', ');
+        box.style.cssText = `position: absolute; left: ${rect.left}px; top: ${rect.top}px; width: ${rect.width}px; height: ${rect.height}px; outline: 2px solid ${color}; background-color: ${color}22; box-sizing: border-box;`;
+        const label = document.createElement('span');
+        label.textContent = String(result.index + 1);
+        label.style.cssText = `position: absolute; top: -14px; left: -2px; background-color: ${color}; color: #282c34; font: bold 10px/14px 'Menlo', 'Monaco', 'Courier New', monospace; padding: 0 3px; border-radius: 3px 3px 0 0;`;
+        box.appendChild(label);
+        auditOverlay.appendChild(box);
+    });
+    document.body.appendChild(auditOverlay);
+}
+
+function revealAuditedElement(index) {
+    const element = auditedElements[index];
+    if (!element || !element.isConnected) return false;
+    element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    const previousOutline = element.style.outline;
+    element.style.outline = '3px solid #ff4757';
+    setTimeout(() => { element.style.outline = previousOutline; }, 1500);
+    return true;
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    switch (request.action) {
+        case MESSAGE_ACTIONS.auditPage: {
+            const audit = runPageAudit(request.framework);
+            if (request.showOverlays) showAuditOverlays(audit.results);
+            else clearAuditOverlays();
+            sendResponse(audit);
+            return true;
+        }
+        case MESSAGE_ACTIONS.setAuditOverlays:
+            if (request.results) showAuditOverlays(request.results);
+            else clearAuditOverlays();
+            sendResponse({ status: "ok" });
+            return true;
+        case MESSAGE_ACTIONS.revealAuditedElement:
+            sendResponse({ found: revealAuditedElement(request.index) });
+            return true;
+        default:
+            return false;
+    }
+});
@@ -0,0 +1,191 @@
+/**
+ * @file page-object-model.js
+ * Named locator collections for building Page Object Models. Picked elements are saved as fields of a page
+ * object, page objects are matched to the pages they describe by a URL pattern, and page objects are grouped
+ * into projects. Everything is stored in chrome.storage.local under one key:
+ *   { activeProject: 'Default', projects: [{ name, pages: [{ name, urlPattern, fields: [{ name, chain, fingerprint }] }] }] }
+ * Field locators are stored as language-neutral chains, so a page object can be generated as a Python or a
+ * TypeScript class at any time. A field's fingerprint (see locator-healing.js) lets a broken locator be repaired.
+ */
+
+const PAGE_OBJECTS_STORAGE_KEY = 'pageObjects';
+const DEFAULT_PROJECT_NAME = 'Default';
+
+const PAGE_OBJECT_LANGUAGES = {
+    python: { label: 'Python', extension: 'py' },
+    typescript: { label: 'TypeScript', extension: 'ts' },
+};
+// Python keywords can't name an attribute or a class (`self.class = ...` is a SyntaxError). TypeScript takes
+// reserved words as property names, and no class name made by toIdentifier() is one.
+const PYTHON_KEYWORDS = new Set([
+    'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+    'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal',
+    'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield',
+]);
+
+// --- STORAGE ---
+
+function normalizePageObjectStore(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const projects = (Array.isArray(source.projects) ? source.projects : [])
+        .filter(project => project && typeof project.name === 'string' && project.name.trim())
+        .map(project => ({
+            name: project.name.trim(),
+            pages: (Array.isArray(project.pages) ? project.pages : []).map(page => ({
+                name: String(page.name || 'Page'),
+                urlPattern: String(page.urlPattern || ''),
+                fields: (Array.isArray(page.fields) ? page.fields : []).filter(field => field && field.chain),
+            })),
+        }));
+    if (projects.length === 0) projects.push({ name: DEFAULT_PROJECT_NAME, pages: [] });
+    const activeProject = projects.some(project => project.name === source.activeProject)
+        ? source.activeProject
+        : projects[0].name;
+    return { activeProject, projects };
+}
+
+function loadPageObjects() {
+    return chrome.storage.local.get(PAGE_OBJECTS_STORAGE_KEY)
+        .then(result => normalizePageObjectStore(result[PAGE_OBJECTS_STORAGE_KEY]));
+}
+
+function savePageObjects(store) {
+    const normalized = normalizePageObjectStore(store);
+    return chrome.storage.local.set({ [PAGE_OBJECTS_STORAGE_KEY]: normalized }).then(() => normalized);
+}
+
+function getActiveProject(store) {
+    return store.projects.find(project => project.name === store.activeProject);
+}
+
+// --- URL MATCHING ---
+
+/**
+ * Returns true when `url` matches a pattern in which `*` stands for any run of characters. The query string
+ * and hash of `url` are ignored unless the pattern mentions them.
+ */
+function urlMatchesPattern(url, pattern) {
+    if (!pattern) return false;
+    const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return regex.test(url) || regex.test(url.replace(/[?#].*$/, ''));
+}
+
+function getDefaultUrlPattern(url) {
+    const parsed = new URL(url);
+    return parsed.origin + parsed.pathname;
+}
+
+function findPageObject(project, url) {
+    return project.pages.find(page => urlMatchesPattern(url, page.urlPattern)) || null;
+}
+
+// --- NAMING ---
+
+function splitIdentifierWords(name) {
+    return String(name)
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(word => word.toLowerCase());
+}
+
+/**
+ * Turns free text such as "Sign in button" into an identifier: `sign_in_button` (snake), `signInButton`
+ * (camel) or `SignInButton` (pascal). Snake and pascal identifiers, used in Python, get a `_` after a
+ * keyword: "class" becomes `class_`.
+ */
+function toIdentifier(name, style) {
+    const words = splitIdentifierWords(name);
+    if (words.length === 0) words.push('element');
+    const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+    let identifier;
+    if (style === 'snake') identifier = words.join('_');
+    else if (style === 'pascal') identifier = words.map(capitalize).join('');
+    else identifier = words[0] + words.slice(1).map(capitalize).join('');
+    if (/^[0-9]/.test(identifier)) return `_${identifier}`;
+    return style !== 'camel' && PYTHON_KEYWORDS.has(identifier) ? `${identifier}_` : identifier;
+}
+
+function suggestPageObjectName(url) {
+    // Numeric segments are usually record ids, so /orders/42 becomes OrdersPage.
+    const segments = new URL(url).pathname.split('/').filter(segment => segment && !/^\d+$/.test(segment));
+    const last = segments.length > 0 ? segments[segments.length - 1].replace(/\.[a-z]+$/i, '') : 'home';
+    return toIdentifier(`${last} page`, 'pascal');
+}
+
+/**
+ * Returns `fieldName`, or `fieldName` with a number appended, so that the field's Python and TypeScript
+ * identifiers differ from those of the page object's other fields (all but `field`, the one being renamed)
+ * and from `page`, which the class itself takes.
+ */
+function getUniquePageObjectFieldName(page, fieldName, field = null) {
+    const baseName = fieldName.trim() || 'element';
+    const others = page.fields.filter(other => other !== field);
+    const styles = ['snake', 'camel'];
+    const taken = styles.map(style => new Set(['page', ...others.map(other => toIdentifier(other.name, style))]));
+    const isTaken = name => styles.some((style, index) => taken[index].has(toIdentifier(name, style)));
+    let name = baseName;
+    for (let suffix = 2; isTaken(name); suffix++) name = `${baseName} ${suffix}`;
+    return name;
+}
+
+/**
+ * Adds a field to the page object of the active project that matches `url`, creating the page object when
+ * none matches yet. Field names are made unique within the page object. Resolves with { page, field }.
+ */
+function addPageObjectField(url, fieldName, chain, fingerprint = null) {
+    return loadPageObjects().then(store => {
+        const project = getActiveProject(store);
+        let page = findPageObject(project, url);
+        if (!page) {
+            page = { name: suggestPageObjectName(url), urlPattern: getDefaultUrlPattern(url), fields: [] };
+            project.pages.push(page);
+        }
+        const field = { name: getUniquePageObjectFieldName(page, fieldName), chain, fingerprint };
+        page.fields.push(field);
+        return savePageObjects(store).then(() => ({ page, field }));
+    });
+}
+
+// --- CODE GENERATION ---
+
+/**
+ * Returns the source of a page object class in `language` (a key of PAGE_OBJECT_LANGUAGES).
+ */
+function buildPageObjectClass(page, language) {
+    const className = toIdentifier(page.name, 'pascal');
+    if (language === 'python') {
+        const assignments = page.fields.map(field => (
+            `        self.${toIdentifier(field.name, 'snake')} = ${emitLocator(field.chain, 'pytest')}`
+        ));
+        return [
+            'from playwright.sync_api import Page',
+            '',
+            '',
+            `class ${className}:`,
+            `    """Page object for ${page.urlPattern}"""`,
+            '',
+            '    def __init__(self, page: Page) -> None:',
+            '        self.page = page',
+            ...assignments,
+            '',
+        ].join('\n');
+    }
+
+    const fieldNames = page.fields.map(field => toIdentifier(field.name, 'camel'));
+    return [
+        "import { type Locator, type Page } from '@playwright/test';",
+        '',
+        `/** Page object for ${page.urlPattern} */`,
+        `export class ${className} {`,
+        '  readonly page: Page;',
+        ...fieldNames.map(name => `  readonly ${name}: Locator;`),
+        '',
+        '  constructor(page: Page) {',
+        '    this.page = page;',
+        ...page.fields.map((field, index) => `    this.${fieldNames[index]} = ${emitLocator(field.chain, 'js')};`),
+        '  }',
+        '}',
+        '',
+    ].join('\n');
+}
@@ -0,0 +1,172 @@
+/**
+ * @file page-objects.js
+ * This script manages the Page Objects page: projects, the page objects in each project, their fields, and
+ * the generated Python/TypeScript classes. The collections themselves are defined in page-object-model.js.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    // === UI Elements ===
+    const projectSelect = document.getElementById('projectSelect');
+    const newProjectButton = document.getElementById('newProjectButton');
+    const renameProjectButton = document.getElementById('renameProjectButton');
+    const deleteProjectButton = document.getElementById('deleteProjectButton');
+    const languageSelect = document.getElementById('languageSelect');
+    const pageObjectList = document.getElementById('pageObjectList');
+    const messageDiv = document.getElementById('message');
+
+    // === State Variables ===
+    let store = null;
+
+    Object.entries(PAGE_OBJECT_LANGUAGES).forEach(([language, { label }]) => {
+        languageSelect.add(new Option(label, language));
+    });
+
+    function showMessage(text, color) {
+        messageDiv.style.display = 'block';
+        messageDiv.textContent = text;
+        messageDiv.style.color = color;
+    }
+
+    // Applies a change to the store and saves it; the storage listener re-renders the page.
+    function update(mutate) {
+        mutate(store);
+        savePageObjects(store).catch(error => showMessage(`Could not save: ${error.message}`, '#d9534f'));
+    }
+
+    // --- Projects ---
+    projectSelect.addEventListener('change', () => update(s => { s.activeProject = projectSelect.value; }));
+
+    newProjectButton.addEventListener('click', function() {
+        const name = (prompt('Project name') || '').trim();
+        if (!name) return;
+        if (store.projects.some(project => project.name === name)) {
+            showMessage(`A project named "${name}" already exists.`, '#d9534f');
+            return;
+        }
+        update(s => {
+            s.projects.push({ name, pages: [] });
+            s.activeProject = name;
+        });
+    });
+
+    renameProjectButton.addEventListener('click', function() {
+        const project = getActiveProject(store);
+        const name = (prompt('Project name', project.name) || '').trim();
+        if (!name || name === project.name) return;
+        update(s => {
+            getActiveProject(s).name = name;
+            s.activeProject = name;
+        });
+    });
+
+    deleteProjectButton.addEventListener('click', function() {
+        const project = getActiveProject(store);
+        if (!confirm(`Delete project "${project.name}" and all of its page objects?`)) return;
+        update(s => {
+            s.projects = s.projects.filter(p => p !== getActiveProject(s));
+            s.activeProject = null;
+        });
+    });
+
+    languageSelect.addEventListener('change', render);
+
+    // --- Page objects ---
+    function createTextInput(value, onChange, className = '') {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = value;
+        input.className = className;
+        input.addEventListener('change', () => onChange(input.value.trim()));
+        return input;
+    }
+
+    function createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-small';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function createPageObjectSection(page, pageIndex) {
+        const language = languageSelect.value;
+        const framework = language === 'python' ? 'pytest' : 'js';
+        const withPage = mutate => update(s => mutate(getActiveProject(s).pages[pageIndex]));
+
+        const section = document.createElement('div');
+        section.className = 'section page-object';
+        const nameInput = createTextInput(page.name, value => withPage(p => { p.name = value || p.name; }), 'page-object-name');
+        const patternInput = createTextInput(page.urlPattern, value => withPage(p => { p.urlPattern = value; }));
+        patternInput.title = 'URL pattern';
+
+        const fields = document.createElement('ul');
+        fields.className = 'candidate-list';
+        page.fields.forEach((field, fieldIndex) => {
+            const item = document.createElement('li');
+            const fieldName = createTextInput(field.name, value => withPage(p => {
+                const renamed = p.fields[fieldIndex];
+                renamed.name = getUniquePageObjectFieldName(p, value || renamed.name, renamed);
+            }));
+            const code = document.createElement('code');
+            code.textContent = emitLocator(field.chain, framework);
+            const actions = document.createElement('div');
+            actions.className = 'candidate-actions';
+            actions.appendChild(createButton('Remove', () => withPage(p => p.fields.splice(fieldIndex, 1))));
+            item.append(fieldName, code, actions);
+            fields.appendChild(item);
+        });
+
+        const source = buildPageObjectClass(page, language);
+        const preview = document.createElement('pre');
+        preview.className = 'code-preview';
+        preview.textContent = source;
+
+        const buttons = document.createElement('div');
+        buttons.className = 'button-group';
+        const copyButton = createButton('Copy class', () => {
+            navigator.clipboard.writeText(source).then(() => showMessage(`Copied ${page.name}.`, '#5cb85c'));
+        });
+        const downloadButton = createButton('Download', () => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([source], { type: 'text/plain' }));
+            const baseName = toIdentifier(page.name, language === 'python' ? 'snake' : 'camel');
+            link.download = `${baseName}.${PAGE_OBJECT_LANGUAGES[language].extension}`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+        const deleteButton = createButton('Delete page object', () => {
+            if (confirm(`Delete ${page.name}?`)) update(s => getActiveProject(s).pages.splice(pageIndex, 1));
+        });
+        buttons.append(copyButton, downloadButton, deleteButton);
+
+        section.append(nameInput, patternInput, fields, preview, buttons);
+        return section;
+    }
+
+    function render() {
+        projectSelect.replaceChildren(...store.projects.map(project => new Option(project.name, project.name)));
+        projectSelect.value = store.activeProject;
+        deleteProjectButton.disabled = store.projects.length === 1;
+
+        const project = getActiveProject(store);
+        pageObjectList.replaceChildren(...project.pages.map(createPageObjectSection));
+        if (project.pages.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'hint';
+            empty.textContent = 'No page objects in this project yet.';
+            pageObjectList.appendChild(empty);
+        }
+    }
+
+    // --- Initialization ---
+    loadPageObjects().then(loaded => {
+        store = loaded;
+        render();
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[PAGE_OBJECTS_STORAGE_KEY]) {
+            store = normalizePageObjectStore(changes[PAGE_OBJECTS_STORAGE_KEY].newValue);
+            render();
+        }
+    });
+});
@@ -7,123 +7,634 @@ document.addEventListener('DOMContentLoaded', function() {
     // === UI Elements ===
     const pickElementButton = document.getElementById('pickElementButton');
     const locatorOutputDiv = document.getElementById('locatorOutput');
+    const candidateList = document.getElementById('candidateList');
+    const assertionHint = document.getElementById('assertionHint');
+    const assertionList = document.getElementById('assertionList');
     const copyLocatorButton = document.getElementById('copyLocatorButton');
-    const frameworkSelector = document.querySelectorAll('input[name="framework"]');
+    const frameworkSelect = document.getElementById('frameworkSelect');
     const checkButton = document.getElementById('checkButton');
     const locatorInput = document.getElementById('locatorInput');
     const messageDiv = document.getElementById('message');
+    const settingsButton = document.getElementById('settingsButton');
+    const matchNavigator = document.getElementById('matchNavigator');
+    const previousMatchButton = document.getElementById('previousMatchButton');
+    const nextMatchButton = document.getElementById('nextMatchButton');
+    const matchPosition = document.getElementById('matchPosition');
+    const clearHighlightsButton = document.getElementById('clearHighlightsButton');
+    const matchList = document.getElementById('matchList');
+    const healingSuggestion = document.getElementById('healingSuggestion');
+    const healingSummary = document.getElementById('healingSummary');
+    const healingDiff = document.getElementById('healingDiff');
+    const useHealingButton = document.getElementById('useHealingButton');
+    const copyHealingButton = document.getElementById('copyHealingButton');
+    const recordButton = document.getElementById('recordButton');
+    const clearRecordingButton = document.getElementById('clearRecordingButton');
+    const recordedStepsList = document.getElementById('recordedSteps');
+    const exportRecordingDiv = document.getElementById('exportRecording');
+    const exportPytestButton = document.getElementById('exportPytestButton');
+    const exportPlaywrightTestButton = document.getElementById('exportPlaywrightTestButton');
+    const pageObjectSummary = document.getElementById('pageObjectSummary');
+    const pickFieldsButton = document.getElementById('pickFieldsButton');
+    const verifyPageObjectButton = document.getElementById('verifyPageObjectButton');
+    const managePageObjectsButton = document.getElementById('managePageObjectsButton');
+    const pageObjectFieldsList = document.getElementById('pageObjectFields');
+    const openAuditButton = document.getElementById('openAuditButton');
+    const historySearch = document.getElementById('historySearch');
+    const historySiteFilter = document.getElementById('historySiteFilter');
+    const historyEmpty = document.getElementById('historyEmpty');
+    const historyList = document.getElementById('historyList');
+    const copyHistoryButton = document.getElementById('copyHistoryButton');
+    const clearHistoryButton = document.getElementById('clearHistoryButton');
 
     // === State Variables ===
     let currentLocator = '';
-    let selectedFramework = 'pytest';
+    let selectedFramework = DEFAULT_FRAMEWORK;
+    let recording = null;
+    let currentPageObject = null;
+    let verifierMatches = [];
+    let currentMatchIndex = -1;
+    let currentHealing = null;
+    let locatorHistory = [];
+    let shownHistory = [];
+    let currentOrigin = '';
+    const historyVerifyResults = new Map(); // entry id -> match count from the last re-verify
 
     // --- Part 1: Initialization ---
-    chrome.storage.local.get(['lastGeneratedLocator', 'selectedFramework'], function(result) {
+    Object.entries(CODE_EMITTERS).forEach(([framework, emitter]) => {
+        frameworkSelect.add(new Option(emitter.label, framework));
+    });
+    frameworkSelect.value = selectedFramework;
+
+    chrome.storage.local.get(['lastGeneratedLocator', 'lastGeneratedCandidates', 'lastGeneratedAssertions', 'selectedFramework', 'recording'], function(result) {
         if (result.lastGeneratedLocator) {
             locatorOutputDiv.textContent = result.lastGeneratedLocator;
             currentLocator = result.lastGeneratedLocator;
             copyLocatorButton.style.display = 'block';
+            renderCandidates(result.lastGeneratedCandidates || []);
+            renderAssertions(result.lastGeneratedAssertions || []);
         } else {
             locatorOutputDiv.textContent = 'Click "Pick Element" to start.';
         }
-        if (result.selectedFramework) {
+        if (CODE_EMITTERS[result.selectedFramework]) {
             selectedFramework = result.selectedFramework;
-            document.getElementById(selectedFramework).checked = true;
+            frameworkSelect.value = selectedFramework;
         }
+        renderRecording(result.recording || null);
+    });
+
+    settingsButton.addEventListener('click', function() {
+        chrome.runtime.openOptionsPage();
     });
 
     // --- Part 2: Locator Generator Logic ---
-    frameworkSelector.forEach(radio => {
-        radio.addEventListener('change', function() {
-            selectedFramework = this.value;
-            chrome.storage.local.set({ selectedFramework: selectedFramework });
-        });
+    frameworkSelect.addEventListener('change', function() {
+        selectedFramework = this.value;
+        chrome.storage.local.set({ selectedFramework: selectedFramework });
+        renderRecording(recording);
     });
 
-    pickElementButton.addEventListener('click', function() {
+    pickElementButton.addEventListener('click', () => startPicking('locator'));
+
+    // background.js starts picking in the tab, as it does for the keyboard shortcut.
+    function startPicking(purpose) {
         chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
             if (!tabs.length) return;
-            chrome.tabs.sendMessage(tabs[0].id, { action: "togglePickingMode", framework: selectedFramework }, function(response) {
-                if (chrome.runtime.lastError) {
+            const message = { action: MESSAGE_ACTIONS.startPicking, tabId: tabs[0].id, framework: selectedFramework, purpose };
+            chrome.runtime.sendMessage(message, function(response) {
+                if (chrome.runtime.lastError || !response || response.status === "unavailable") {
                     locatorOutputDiv.textContent = 'Error: Could not connect. Please refresh the page.';
                     return;
                 }
-                if (response && response.status === "enabled") {
+                if (response.status === "enabled") {
                     window.close(); // Close popup to allow user to click on the page
                 }
             });
         });
-    });
+    }
 
     copyLocatorButton.addEventListener('click', function() {
         if (currentLocator) {
-            const pureLocator = currentLocator.split(/ (#|\/\/)/)[0].trim();
-            navigator.clipboard.writeText(pureLocator).then(() => {
-                copyLocatorButton.textContent = 'Copied!';
-                setTimeout(() => { copyLocatorButton.textContent = 'Copy Locator'; }, 1500);
-            });
+            copyText(stripLocatorNote(currentLocator), copyLocatorButton);
         }
     });
 
+    function copyText(text, button) {
+        const originalLabel = button.textContent;
+        navigator.clipboard.writeText(text).then(() => {
+            button.textContent = 'Copied!';
+            setTimeout(() => { button.textContent = originalLabel; }, 1500);
+        });
+    }
+
+    // Shows every candidate from the last pick, best first, each with copy and insert-into-verifier actions.
+    function renderCandidates(candidates) {
+        candidateList.replaceChildren();
+        candidateList.style.display = candidates.length > 1 ? 'block' : 'none';
+        if (candidates.length <= 1) return;
+
+        candidates.forEach(candidate => {
+            const item = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = candidate.locator;
+            const meta = document.createElement('div');
+            meta.className = 'candidate-meta';
+            meta.textContent = `${candidate.label} · score ${candidate.score} `;
+            const badge = document.createElement('span');
+            badge.className = candidate.matchCount === 1 ? 'badge badge-unique' : 'badge badge-ambiguous';
+            badge.textContent = `matches ${candidate.matchCount} element${candidate.matchCount === 1 ? '' : 's'}`;
+            meta.appendChild(badge);
+
+            const actions = document.createElement('div');
+            actions.className = 'candidate-actions';
+            const copyButton = document.createElement('button');
+            copyButton.className = 'btn btn-small';
+            copyButton.textContent = 'Copy';
+            copyButton.addEventListener('click', () => copyText(candidate.locator, copyButton));
+            const insertButton = document.createElement('button');
+            insertButton.className = 'btn btn-small';
+            insertButton.textContent = 'Insert';
+            insertButton.title = 'Insert into the verifier below';
+            insertButton.addEventListener('click', () => {
+                locatorInput.value = candidate.verifierLocator || candidate.locator;
+                locatorInput.focus();
+            });
+            actions.append(copyButton, insertButton);
+
+            item.append(code, meta, actions);
+            candidateList.appendChild(item);
+        });
+    }
+
+    // Shows the assertion snippets of the last pick, built on its best locator.
+    function renderAssertions(assertions) {
+        assertionList.replaceChildren();
+        assertionHint.style.display = assertions.length > 0 ? 'block' : 'none';
+        assertionList.style.display = assertions.length > 0 ? 'block' : 'none';
+
+        assertions.forEach(snippet => {
+            const item = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = snippet.code;
+            const meta = document.createElement('div');
+            meta.className = 'candidate-meta';
+            meta.textContent = snippet.label;
+
+            const actions = document.createElement('div');
+            actions.className = 'candidate-actions';
+            const copyButton = document.createElement('button');
+            copyButton.className = 'btn btn-small';
+            copyButton.textContent = 'Copy';
+            copyButton.addEventListener('click', () => copyText(snippet.code, copyButton));
+            actions.appendChild(copyButton);
+
+            item.append(code, meta, actions);
+            assertionList.appendChild(item);
+        });
+    }
+
     // --- Part 3: Selector Verifier Logic ---
     checkButton.addEventListener('click', function() {
         const selector = locatorInput.value.trim();
         messageDiv.style.display = 'block';
+        messageDiv.classList.remove('message-code');
         if (!selector) {
             messageDiv.textContent = 'Please enter a selector or locator.';
             messageDiv.style.color = '#d9534f';
             return;
         }
 
+        runVerifier(selector, showVerifierResult);
+    });
+
+    function showVerifierResult(result) {
+        const { count, error, isParseError, strictModeViolation } = result;
+        messageDiv.style.display = 'block';
+        messageDiv.classList.toggle('message-code', Boolean(isParseError || strictModeViolation));
+        if (error) {
+            messageDiv.textContent = error;
+            messageDiv.style.color = '#d9534f';
+        } else if (strictModeViolation) {
+            messageDiv.textContent = `Found and highlighted ${count} elements. Actions on this locator would fail with:\n${strictModeViolation}`;
+            messageDiv.style.color = '#dd6b20';
+        } else if (count > 0) {
+            messageDiv.textContent = `Found and highlighted ${count} element(s).`;
+            messageDiv.style.color = '#5cb85c';
+        } else {
+            messageDiv.textContent = 'No elements found with this locator.';
+            messageDiv.style.color = '#f0ad4e';
+        }
+        showVerifierMatches(result.matches || [], count);
+        showHealing(result.healing || null);
+    }
+
+    /**
+     * Runs `func` with `args` in the active tab's content script context and calls back with its result, or
+     * with (null, message) when the page could not be reached.
+     */
+    function executeInActiveTab(func, args, callback) {
         chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
             if (!tabs.length) {
-                messageDiv.textContent = 'No active tab found.';
-                messageDiv.style.color = '#d9534f';
+                callback(null, 'No active tab found.');
                 return;
             }
             
             // =================================================================
             // THIS IS THE CORRECTED PART
             // =================================================================
-            chrome.scripting.executeScript({
-                target: { tabId: tabs[0].id },
-                // We pass an anonymous function that will be executed on the page.
-                // This function can then call `findAndHighlight` because it exists on the page.
-                func: (selectorToFind) => {
-                    // This code runs inside the web page's context
-                    return findAndHighlight(selectorToFind);
-                },
-                args: [selector] // Pass the user's input as an argument to our anonymous function
-            }, (results) => {
+            // `func` is executed on the page, so it can call content script functions such as `findAndHighlight`.
+            chrome.scripting.executeScript({ target: { tabId: tabs[0].id }, func, args }, (results) => {
                 if (chrome.runtime.lastError) {
-                    messageDiv.textContent = `Error: ${chrome.runtime.lastError.message}. Try refreshing the page.`;
-                    messageDiv.style.color = '#d9534f';
-                } else if (results && results[0] && results[0].result !== undefined) {
-                    const count = results[0].result;
-                    if (count > 0) {
-                        messageDiv.textContent = `Found and highlighted ${count} element(s).`;
-                        messageDiv.style.color = '#5cb85c';
-                    } else {
-                        messageDiv.textContent = 'No elements found with this locator.';
-                        messageDiv.style.color = '#f0ad4e';
-                    }
+                    callback(null, `Error: ${chrome.runtime.lastError.message}. Try refreshing the page.`);
+                } else if (results && results[0]) {
+                    callback(results[0].result, null);
                 } else {
                     // This case handles when the script injection itself fails without a chrome.runtime error
-                    messageDiv.textContent = 'Could not execute script on the page. It may be protected.';
-                    messageDiv.style.color = '#d9534f';
+                    callback(null, 'Could not execute script on the page. It may be protected.');
+                }
+            });
+        });
+    }
+
+    /**
+     * Highlights the matches of `selector` in the active tab and calls back with the verifier's result (see
+     * findAndHighlight in content.js). `isParseError` marks errors from the page's verifier, which are shown as code.
+     * `fingerprint` is the element the locator was saved for, when known.
+     */
+    function runVerifier(selector, callback, fingerprint = null) {
+        const verify = (selectorToFind, savedFingerprint) => findAndHighlight(selectorToFind, savedFingerprint);
+        executeInActiveTab(verify, [selector, fingerprint], function(result, error) {
+            if (error || !result) {
+                callback({ count: 0, error: error || 'Could not execute script on the page. It may be protected.' });
+                return;
+            }
+            callback({ ...result, isParseError: Boolean(result.error) });
+        });
+    }
+
+    // Lists the matches of the last check, with previous/next navigation that scrolls each one into view.
+    function showVerifierMatches(matches, count) {
+        verifierMatches = matches;
+        currentMatchIndex = -1;
+        matchNavigator.style.display = matches.length > 0 ? 'flex' : 'none';
+        matchList.style.display = matches.length > 1 ? 'block' : 'none';
+        matchList.replaceChildren(...matches.map((match, index) => {
+            const item = document.createElement('li');
+            const box = `${match.box.width}×${match.box.height} at ${match.box.x}, ${match.box.y}`;
+            item.textContent = `<${match.tag}>${match.role ? ` ${match.role}` : ''}${match.name ? ` "${match.name}"` : ''} · ${match.visible ? 'visible' : 'hidden'} · ${box}`;
+            item.classList.toggle('hidden-match', !match.visible);
+            item.title = 'Scroll to this match';
+            item.addEventListener('click', () => revealMatch(index));
+            return item;
+        }));
+        matchPosition.textContent = count > matches.length ? `${count} matches (first ${matches.length} listed)` : `${count} match${count === 1 ? '' : 'es'}`;
+    }
+
+    function revealMatch(index) {
+        executeInActiveTab((matchIndex) => revealVerifierMatch(matchIndex), [index], function(match) {
+            if (!match) return;
+            currentMatchIndex = index;
+            verifierMatches[index] = match;
+            matchPosition.textContent = `${index + 1} / ${verifierMatches.length}`;
+            Array.from(matchList.children).forEach((item, i) => item.classList.toggle('current', i === index));
+            matchList.children[index].scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    previousMatchButton.addEventListener('click', function() {
+        if (verifierMatches.length === 0) return;
+        revealMatch(currentMatchIndex <= 0 ? verifierMatches.length - 1 : currentMatchIndex - 1);
+    });
+
+    nextMatchButton.addEventListener('click', function() {
+        if (verifierMatches.length === 0) return;
+        revealMatch((currentMatchIndex + 1) % verifierMatches.length);
+    });
+
+    clearHighlightsButton.addEventListener('click', function() {
+        executeInActiveTab(() => clearVerifierHighlights(), [], function() {
+            showVerifierMatches([], 0);
+            showHealing(null);
+            messageDiv.style.display = 'none';
+        });
+    });
+
+    // Renders a diff from diffLocators() (locator-healing.js) with the removed and added parts marked.
+    function createLocatorDiff(diff, code = document.createElement('code')) {
+        code.className = 'locator-diff';
+        code.replaceChildren(...diff.map(segment => {
+            if (segment.type === 'same') return document.createTextNode(segment.text);
+            const part = document.createElement(segment.type === 'added' ? 'ins' : 'del');
+            part.textContent = segment.text;
+            return part;
+        }));
+        return code;
+    }
+
+    function describeHealingMatch(healing) {
+        const { tag, role, name } = healing.match;
+        return `<${tag}>${role ? ` ${role}` : ''}${name ? ` "${name}"` : ''}`;
+    }
+
+    // The locator matched no element or several, but a saved fingerprint points at a likely one.
+    function showHealing(healing) {
+        currentHealing = healing;
+        healingSuggestion.style.display = healing ? 'block' : 'none';
+        if (!healing) return;
+        healingSummary.textContent = `The saved element most likely is ${describeHealingMatch(healing)} (${healing.score}% similar, outlined in green). Suggested locator:`;
+        createLocatorDiff(healing.diff, healingDiff);
+    }
+
+    useHealingButton.addEventListener('click', function() {
+        if (!currentHealing) return;
+        locatorInput.value = currentHealing.verifierLocator;
+        checkButton.click();
+    });
+
+    copyHealingButton.addEventListener('click', function() {
+        if (currentHealing) copyText(currentHealing.newLocator, copyHealingButton);
+    });
+
+    // --- Part 4: Interaction Recorder ---
+    // background.js owns the recording and stores it in chrome.storage.local; the popup only displays it.
+    recordButton.addEventListener('click', function() {
+        if (recording && recording.active) {
+            chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.stopRecording });
+            return;
+        }
+        chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+            if (!tabs.length) return;
+            chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.startRecording, tabId: tabs[0].id, framework: selectedFramework }, function(response) {
+                if (response && response.status === "recording") {
+                    window.close(); // Close popup so the user can interact with the page
                 }
             });
         });
     });
 
-    // --- Part 4: Listen for messages from content script ---
+    clearRecordingButton.addEventListener('click', function() {
+        chrome.storage.local.remove('recording');
+    });
+
+    exportPytestButton.addEventListener('click', () => downloadTestScript('pytest'));
+    exportPlaywrightTestButton.addEventListener('click', () => downloadTestScript('js'));
+
+    function downloadTestScript(framework) {
+        if (!recording) return;
+        const script = buildTestScript(recording.steps, framework);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([script], { type: 'text/plain' }));
+        link.download = TEST_SCRIPT_TEMPLATES[framework].fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    function renderRecording(newRecording) {
+        recording = newRecording;
+        const isActive = Boolean(recording && recording.active);
+        const steps = recording ? recording.steps : [];
+        recordButton.textContent = isActive ? 'Stop Recording' : 'Start Recording';
+        clearRecordingButton.style.display = !isActive && steps.length > 0 ? 'block' : 'none';
+        exportRecordingDiv.style.display = steps.length > 0 ? 'flex' : 'none';
+        recordedStepsList.style.display = steps.length > 0 ? 'block' : 'none';
+        recordedStepsList.replaceChildren(...steps.map(step => {
+            const item = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = emitRecordedStep(step, selectedFramework);
+            item.appendChild(code);
+            return item;
+        }));
+    }
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.recording) renderRecording(changes.recording.newValue || null);
+    });
+
+    // --- Part 5: Page Objects ---
+    pickFieldsButton.addEventListener('click', () => startPicking('pageObject'));
+
+    managePageObjectsButton.addEventListener('click', function() {
+        chrome.tabs.create({ url: chrome.runtime.getURL('page-objects.html') });
+    });
+
+    verifyPageObjectButton.addEventListener('click', function() {
+        if (!currentPageObject) return;
+        chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+            if (!tabs.length) return;
+            const chains = currentPageObject.fields.map(field => field.chain);
+            const fingerprints = currentPageObject.fields.map(field => field.fingerprint || null);
+            const message = { action: MESSAGE_ACTIONS.verifyLocators, chains, fingerprints, framework: selectedFramework };
+            chrome.tabs.sendMessage(tabs[0].id, message, function(response) {
+                if (chrome.runtime.lastError || !response) {
+                    pageObjectSummary.textContent = 'Error: Could not connect. Please refresh the page.';
+                    return;
+                }
+                renderPageObjectFields(response.counts, response.healings || [], tabs[0].url);
+            });
+        });
+    });
+
+    function renderPageObjectSummary() {
+        chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+            loadPageObjects().then(store => {
+                const project = getActiveProject(store);
+                currentPageObject = tabs.length && tabs[0].url ? findPageObject(project, tabs[0].url) : null;
+                pageObjectSummary.textContent = currentPageObject
+                    ? `Project "${project.name}" · ${currentPageObject.name} (${currentPageObject.fields.length} fields)`
+                    : `Project "${project.name}" · no page object for this page yet. Pick fields to create one.`;
+                verifyPageObjectButton.style.display = currentPageObject && currentPageObject.fields.length > 0 ? 'block' : 'none';
+                pageObjectFieldsList.style.display = 'none';
+            });
+        });
+    }
+
+    // Replaces a field's locator with a healing suggestion, together with the element's current fingerprint.
+    function applyFieldHealing(url, fieldIndex, healing) {
+        loadPageObjects().then(store => {
+            const page = findPageObject(getActiveProject(store), url);
+            if (!page || !page.fields[fieldIndex]) return;
+            page.fields[fieldIndex] = { ...page.fields[fieldIndex], chain: healing.chain, fingerprint: healing.fingerprint };
+            return savePageObjects(store);
+        });
+    }
+
+    // Shows each field with its verification status: found (exactly one match), ambiguous or missing. Broken
+    // fields with a saved fingerprint also show the suggested repair.
+    function renderPageObjectFields(counts, healings, url) {
+        pageObjectFieldsList.replaceChildren(...currentPageObject.fields.map((field, index) => {
+            const item = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = emitLocator(field.chain, selectedFramework);
+            const meta = document.createElement('div');
+            meta.className = 'candidate-meta';
+            meta.textContent = `${field.name} `;
+            const badge = document.createElement('span');
+            const count = counts[index];
+            badge.className = count === 1 ? 'badge badge-unique' : count === 0 ? 'badge badge-missing' : 'badge badge-ambiguous';
+            badge.textContent = count === 1 ? 'found' : count === 0 ? 'missing' : `ambiguous (${count})`;
+            meta.appendChild(badge);
+            item.append(code, meta);
+            const healing = healings[index];
+            if (healing) {
+                const hint = document.createElement('div');
+                hint.className = 'candidate-meta';
+                hint.textContent = `Likely ${describeHealingMatch(healing)} now (${healing.score}% similar):`;
+                const actions = document.createElement('div');
+                actions.className = 'candidate-actions';
+                const useButton = document.createElement('button');
+                useButton.className = 'btn btn-small';
+                useButton.textContent = 'Update Field';
+                useButton.addEventListener('click', () => applyFieldHealing(url, index, healing));
+                actions.appendChild(useButton);
+                item.append(hint, createLocatorDiff(healing.diff), actions);
+            }
+            return item;
+        }));
+        pageObjectFieldsList.style.display = 'block';
+    }
+
+    renderPageObjectSummary();
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[PAGE_OBJECTS_STORAGE_KEY]) renderPageObjectSummary();
+    });
+
+    // --- Part 6: Page Audit ---
+    // sidePanel.open() only works during the click itself, so look up the window beforehand.
+    let currentWindowId = null;
+    chrome.windows.getCurrent(currentWindow => { currentWindowId = currentWindow.id; });
+
+    openAuditButton.addEventListener('click', function() {
+        if (currentWindowId === null) return;
+        chrome.sidePanel.open({ windowId: currentWindowId }).then(() => window.close());
+    });
+
+    // --- Part 7: Locator History ---
+    // content.js adds every picked or verified locator to the history; the popup lists, filters and edits it.
+    function renderHistorySiteFilter() {
+        const origins = Array.from(new Set(locatorHistory.map(entry => entry.origin)))
+            .sort((a, b) => (b === currentOrigin) - (a === currentOrigin) || a.localeCompare(b));
+        const selected = historySiteFilter.value;
+        historySiteFilter.replaceChildren(new Option('All sites', ''), ...origins.map(origin => (
+            new Option(origin === currentOrigin ? `This site (${describeHistoryOrigin(origin)})` : describeHistoryOrigin(origin), origin)
+        )));
+        historySiteFilter.value = origins.includes(selected) ? selected : '';
+    }
+
+    function renderHistory() {
+        shownHistory = filterLocatorHistory(locatorHistory, historySearch.value, historySiteFilter.value);
+        historyEmpty.style.display = shownHistory.length > 0 ? 'none' : 'block';
+        historyEmpty.textContent = locatorHistory.length > 0
+            ? 'No locators match the search.'
+            : 'Picked and verified locators appear here.';
+        historyList.style.display = shownHistory.length > 0 ? 'block' : 'none';
+        historyList.replaceChildren(...shownHistory.map(createHistoryItem));
+        copyHistoryButton.disabled = shownHistory.length === 0;
+        clearHistoryButton.disabled = !locatorHistory.some(entry => !entry.pinned);
+    }
+
+    function createHistoryItem(entry) {
+        const item = document.createElement('li');
+        if (entry.pinned) item.className = 'pinned';
+        const code = document.createElement('code');
+        code.textContent = emitLocator(entry.chain, entry.framework);
+        const meta = document.createElement('div');
+        meta.className = 'candidate-meta';
+        const element = `<${entry.tag}>${entry.text ? ` "${entry.text}"` : ''}`;
+        const time = new Date(entry.timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+        meta.textContent = `${element} · ${entry.url.replace(/^[a-z]+:\/\//, '')} · ${time} `;
+        meta.title = entry.url;
+        const sourceBadge = document.createElement('span');
+        sourceBadge.className = 'badge badge-source';
+        sourceBadge.textContent = entry.source === 'generated' ? 'picked' : 'verified';
+        meta.appendChild(sourceBadge);
+        if (historyVerifyResults.has(entry.id)) {
+            const count = historyVerifyResults.get(entry.id);
+            const badge = document.createElement('span');
+            badge.className = count === 1 ? 'badge badge-unique' : count === 0 ? 'badge badge-missing' : 'badge badge-ambiguous';
+            badge.textContent = count === 1 ? 'found' : count === 0 ? 'missing' : `matches ${count}`;
+            meta.append(' ', badge);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'candidate-actions';
+        const pinButton = document.createElement('button');
+        pinButton.className = 'btn btn-small';
+        pinButton.textContent = entry.pinned ? 'Unpin' : 'Pin';
+        pinButton.title = 'Pinned locators are listed first and never pruned';
+        pinButton.addEventListener('click', () => setLocatorHistoryEntry(entry.id, { pinned: !entry.pinned }));
+        const verifyButton = document.createElement('button');
+        verifyButton.className = 'btn btn-small';
+        verifyButton.textContent = 'Re-verify';
+        verifyButton.title = 'Highlight the matches on the current page';
+        verifyButton.addEventListener('click', () => {
+            const locator = emitLocator(entry.chain, getVerifierFramework(entry.framework));
+            locatorInput.value = locator;
+            runVerifier(locator, function(result) {
+                historyVerifyResults.set(entry.id, result.error ? 0 : result.count);
+                renderHistory();
+                showVerifierResult(result);
+            }, entry.fingerprint);
+        });
+        const copyButton = document.createElement('button');
+        copyButton.className = 'btn btn-small';
+        copyButton.textContent = 'Copy';
+        copyButton.addEventListener('click', () => copyText(code.textContent, copyButton));
+        const languageSelect = document.createElement('select');
+        languageSelect.className = 'history-language';
+        languageSelect.title = 'Convert to another language';
+        Object.entries(CODE_EMITTERS).forEach(([framework, emitter]) => languageSelect.add(new Option(emitter.label, framework)));
+        languageSelect.value = entry.framework;
+        languageSelect.addEventListener('change', () => setLocatorHistoryEntry(entry.id, { framework: languageSelect.value }));
+        actions.append(pinButton, verifyButton, copyButton, languageSelect);
+
+        item.append(code, meta, actions);
+        return item;
+    }
+
+    historySearch.addEventListener('input', renderHistory);
+    historySiteFilter.addEventListener('change', renderHistory);
+
+    copyHistoryButton.addEventListener('click', function() {
+        const locators = shownHistory.map(entry => emitLocator(entry.chain, entry.framework));
+        navigator.clipboard.writeText(locators.join('\n')).then(() => {
+            copyHistoryButton.textContent = `Copied ${locators.length}!`;
+            setTimeout(() => { copyHistoryButton.textContent = 'Copy All Shown'; }, 1500);
+        });
+    });
+
+    clearHistoryButton.addEventListener('click', function() {
+        clearLocatorHistory();
+    });
+
+    function showLocatorHistory(entries) {
+        locatorHistory = entries;
+        renderHistorySiteFilter();
+        renderHistory();
+    }
+
+    chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+        if (tabs.length && /^(https?|file):/.test(tabs[0].url || '')) currentOrigin = getHistoryOrigin(tabs[0].url);
+        loadLocatorHistory().then(showLocatorHistory);
+    });
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[LOCATOR_HISTORY_STORAGE_KEY]) {
+            showLocatorHistory(normalizeLocatorHistory(changes[LOCATOR_HISTORY_STORAGE_KEY].newValue));
+        }
+    });
+
+    // --- Part 8: Listen for messages from content script ---
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-        if (request.action === "elementPicked") {
+        if (request.action === MESSAGE_ACTIONS.elementPicked) {
             const generatedLocator = request.locator;
             locatorOutputDiv.textContent = generatedLocator;
             currentLocator = generatedLocator;
-            chrome.storage.local.set({ lastGeneratedLocator: generatedLocator });
+            chrome.storage.local.set({
+                lastGeneratedLocator: generatedLocator,
+                lastGeneratedCandidates: request.candidates || [],
+                lastGeneratedAssertions: request.assertions || [],
+            });
             copyLocatorButton.style.display = 'block';
+            renderCandidates(request.candidates || []);
+            renderAssertions(request.assertions || []);
         }
     });
 });
\ No newline at end of file
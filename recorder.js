@@ -0,0 +1,175 @@
+/**
+ * @file recorder.js
+ * The interaction recorder. While recording is on, clicks, typing, selects and checkbox toggles on the page
+ * are turned into language-neutral steps (see test-script.js) built on the best generated locator, and sent
+ * to background.js, which keeps the recording across page loads. Right-click assertions arrive back here
+ * from the background context menu.
+ */
+
+// --- STATE ---
+
+let isRecording = false;
+let recordingDocuments = [];
+let recordingIndicator = null;
+let lastContextMenuTarget = null;
+// Last value recorded per text field, so that Enter followed by a change event doesn't record fill() twice.
+let recordedFieldValues = new WeakMap();
+
+// Elements a click is attributed to when it lands on something inside them, like an icon in a button.
+const CLICKABLE_SELECTOR = 'a[href], button, input, select, textarea, label, summary, [role="button"], [role="link"], '
+    + '[role="checkbox"], [role="radio"], [role="menuitem"], [role="tab"], [role="option"], [role="switch"]';
+
+// Input types whose clicks are real actions rather than focusing a field.
+const CLICKABLE_INPUT_TYPES = ['button', 'submit', 'reset', 'image'];
+
+// --- HELPERS ---
+
+function isExtensionUi(element) {
+    return [locatorDisplayDiv, recordingIndicator].some(ui => ui && ui.contains(element));
+}
+
+function isToggleInput(element) {
+    return element.tagName === 'INPUT' && ['checkbox', 'radio'].includes(element.type);
+}
+
+function isFillableField(element) {
+    if (element.tagName === 'TEXTAREA') return true;
+    return element.tagName === 'INPUT' && !isToggleInput(element)
+        && !CLICKABLE_INPUT_TYPES.includes(element.type) && element.type !== 'file';
+}
+
+function sendRecordedStep(element, kind, method, args = []) {
+    const best = element ? generateLocatorCandidates(element, currentFramework)[0] : null;
+    if (element && !best) {
+        console.warn('Playwright Locator Assistant: no locator for recorded element', element);
+        return;
+    }
+    const step = { kind, method, chain: best ? best.chain : null, args };
+    chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.recordStep, step });
+}
+
+function recordFill(field) {
+    if (recordedFieldValues.get(field) === field.value) return;
+    recordedFieldValues.set(field, field.value);
+    sendRecordedStep(field, 'action', 'fill', [field.value]);
+}
+
+// --- EVENT HANDLERS ---
+
+function handleRecordedClick(event) {
+    if (isPickingMode) return;
+    const target = getEventTargetElement(event);
+    if (!target || isExtensionUi(target)) return;
+    const element = target.closest(CLICKABLE_SELECTOR) || target;
+
+    // Fields, selects and toggles are recorded from their change events instead.
+    if (element.tagName === 'INPUT' && !CLICKABLE_INPUT_TYPES.includes(element.type)) return;
+    if (['SELECT', 'TEXTAREA'].includes(element.tagName)) return;
+    if (element.tagName === 'LABEL' && element.control && (isToggleInput(element.control) || isFillableField(element.control))) return;
+
+    sendRecordedStep(element, 'action', 'click');
+}
+
+function handleRecordedChange(event) {
+    if (isPickingMode) return;
+    const element = getEventTargetElement(event);
+    if (!element || isExtensionUi(element)) return;
+
+    if (isToggleInput(element)) {
+        sendRecordedStep(element, 'action', element.checked || element.type === 'radio' ? 'check' : 'uncheck');
+    } else if (element.tagName === 'SELECT') {
+        const values = Array.from(element.selectedOptions, option => option.value);
+        sendRecordedStep(element, 'action', 'selectOption', [element.multiple ? values : values[0]]);
+    } else if (isFillableField(element)) {
+        recordFill(element);
+    }
+}
+
+function handleRecordedKeydown(event) {
+    if (isPickingMode || event.key !== 'Enter') return;
+    const element = getEventTargetElement(event);
+    if (!element || element.tagName !== 'INPUT' || !isFillableField(element)) return;
+    // Enter can submit the form before the change event fires, so record the typed value first.
+    recordFill(element);
+    sendRecordedStep(element, 'action', 'press', ['Enter']);
+}
+
+function handleRecordedContextMenu(event) {
+    lastContextMenuTarget = getEventTargetElement(event);
+}
+
+/**
+ * Records an assertion about the element last right-clicked. "toHaveText" on a form field becomes
+ * "toHaveValue", since a field's text is its value.
+ */
+function recordAssertion(matcher) {
+    const element = lastContextMenuTarget;
+    if (!isRecording || !element || !element.isConnected) return;
+    if (matcher === 'toBeVisible') {
+        sendRecordedStep(element, 'assertion', 'toBeVisible');
+    } else if (isFillableField(element) || element.tagName === 'SELECT') {
+        sendRecordedStep(element, 'assertion', 'toHaveValue', [element.value]);
+    } else {
+        sendRecordedStep(element, 'assertion', 'toHaveText', [normalizeWhiteSpace(getElementText(element))]);
+    }
+}
+
+// --- RECORDING MODE ---
+
+const RECORDER_LISTENERS = [
+    ['click', handleRecordedClick],
+    ['change', handleRecordedChange],
+    ['keydown', handleRecordedKeydown],
+    ['contextmenu', handleRecordedContextMenu],
+];
+
+function showRecordingIndicator() {
+    recordingIndicator = document.createElement('div');
+    recordingIndicator.textContent = '● Recording';
+    recordingIndicator.title = 'Playwright Locator Assistant is recording your actions. Stop it from the popup.';
+    recordingIndicator.style.cssText = `position: fixed; bottom: 20px; left: 20px; background-color: #282c34; color: #e06c75; padding: 6px 12px; border-radius: 5px; font-family: 'Menlo', 'Monaco', 'Courier New', monospace; font-size: 12px; font-weight: bold; z-index: 2147483647; box-shadow: 0 4px 10px rgba(0,0,0,0.3); pointer-events: none;`;
+    document.body.appendChild(recordingIndicator);
+}
+
+function startRecording(framework) {
+    if (isRecording) return;
+    isRecording = true;
+    if (framework) currentFramework = framework;
+    recordedFieldValues = new WeakMap();
+    // Same-origin iframes don't forward their events to the top document, so listen in each of them too.
+    recordingDocuments = getAllDocuments();
+    recordingDocuments.forEach(doc => {
+        RECORDER_LISTENERS.forEach(([type, listener]) => doc.addEventListener(type, listener, { capture: true }));
+    });
+    showRecordingIndicator();
+}
+
+function stopRecording() {
+    if (!isRecording) return;
+    isRecording = false;
+    recordingDocuments.forEach(doc => {
+        RECORDER_LISTENERS.forEach(([type, listener]) => doc.removeEventListener(type, listener, { capture: true }));
+    });
+    recordingDocuments = [];
+    lastContextMenuTarget = null;
+    if (recordingIndicator) {
+        recordingIndicator.remove();
+        recordingIndicator = null;
+    }
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === MESSAGE_ACTIONS.setRecording) {
+        if (request.active) startRecording(request.framework);
+        else stopRecording();
+        sendResponse({ status: request.active ? "recording" : "stopped" });
+    } else if (request.action === MESSAGE_ACTIONS.recordAssertion) {
+        recordAssertion(request.matcher);
+    }
+});
+
+// A recording survives page loads: ask the background worker whether this tab is being recorded.
+chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.getRecordingState }, response => {
+    if (chrome.runtime.lastError) return;
+    if (response && response.active) startRecording(response.framework);
+});
@@ -0,0 +1,148 @@
+/**
+ * @file settings.js
+ * User settings shared by the content scripts and the options page: the test-id attributes, the order in
+ * which locator strategies are preferred (and which are disabled), and class/id patterns to treat as unstable.
+ * Settings live in chrome.storage.sync under a single key so they follow the user across browsers, and can be
+ * exported/imported as JSON so a whole team can share one configuration.
+ */
+
+// Every strategy the generator knows, in its default preference order, with the default stability score.
+const LOCATOR_STRATEGIES = {
+    testId: { label: 'Test ID', score: 100 },
+    roleName: { label: 'Role + name', score: 90 },
+    label: { label: 'Label', score: 85 },
+    placeholder: { label: 'Placeholder', score: 80 },
+    altText: { label: 'Alt text', score: 80 },
+    title: { label: 'Title', score: 70 },
+    text: { label: 'Text', score: 65 },
+    role: { label: 'Role', score: 60 },
+    chained: { label: 'Chained', score: 55 },
+    css: { label: 'CSS', score: 30 },
+    xpath: { label: 'XPath', score: 20 },
+};
+
+const SETTINGS_STORAGE_KEY = 'locatorSettings';
+const SETTINGS_EXPORT_VERSION = 1;
+
+const DEFAULT_SETTINGS = {
+    testIdAttributes: ['data-testid', 'data-qa', 'data-test'],
+    strategyOrder: Object.keys(LOCATOR_STRATEGIES),
+    disabledStrategies: [],
+    unstablePatterns: [],
+};
+
+let activeSettings = DEFAULT_SETTINGS;
+const compiledPatternCache = new WeakMap();
+
+/**
+ * Returns a complete, valid settings object built from whatever `raw` contains. Unknown strategies and
+ * invalid attribute names are dropped, missing strategies are appended in their default order, and an
+ * empty test-id list falls back to the defaults.
+ */
+function normalizeSettings(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const strategyKeys = Object.keys(LOCATOR_STRATEGIES);
+    const toStringList = value => (Array.isArray(value) ? value : [])
+        .filter(item => typeof item === 'string')
+        .map(item => item.trim())
+        .filter(Boolean);
+    const unique = list => Array.from(new Set(list));
+
+    const testIdAttributes = unique(toStringList(source.testIdAttributes)
+        .filter(name => /^[A-Za-z_:][-A-Za-z0-9_:.]*$/.test(name)));
+    const strategyOrder = unique(toStringList(source.strategyOrder).filter(key => strategyKeys.includes(key)));
+    strategyKeys.forEach(key => { if (!strategyOrder.includes(key)) strategyOrder.push(key); });
+
+    return {
+        testIdAttributes: testIdAttributes.length > 0 ? testIdAttributes : DEFAULT_SETTINGS.testIdAttributes.slice(),
+        strategyOrder,
+        disabledStrategies: unique(toStringList(source.disabledStrategies).filter(key => strategyKeys.includes(key))),
+        unstablePatterns: unique(toStringList(source.unstablePatterns)),
+    };
+}
+
+function loadSettings() {
+    return new Promise(resolve => {
+        chrome.storage.sync.get([SETTINGS_STORAGE_KEY], result => resolve(normalizeSettings(result[SETTINGS_STORAGE_KEY])));
+    });
+}
+
+function saveSettings(settings) {
+    const normalized = normalizeSettings(settings);
+    return new Promise((resolve, reject) => {
+        chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: normalized }, () => {
+            if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+            else resolve(normalized);
+        });
+    });
+}
+
+function getActiveSettings() {
+    return activeSettings;
+}
+
+function setActiveSettings(settings) {
+    activeSettings = normalizeSettings(settings);
+}
+
+/**
+ * Returns the stability score of a strategy according to its position in the user's preference order.
+ * The default scores are handed out by position, so the default order keeps the default scores.
+ */
+function getStrategyScore(strategy, settings = activeSettings) {
+    const scores = Object.values(LOCATOR_STRATEGIES).map(entry => entry.score).sort((a, b) => b - a);
+    const position = settings.strategyOrder.indexOf(strategy);
+    return position === -1 ? 0 : scores[position];
+}
+
+function isStrategyEnabled(strategy, settings = activeSettings) {
+    return !settings.disabledStrategies.includes(strategy);
+}
+
+/**
+ * Compiles the user's unstable patterns. Invalid regular expressions are reported in `errors` and skipped.
+ */
+function compileUnstablePatterns(settings = activeSettings) {
+    if (compiledPatternCache.has(settings)) return compiledPatternCache.get(settings);
+    const patterns = [];
+    const errors = [];
+    settings.unstablePatterns.forEach(source => {
+        try {
+            patterns.push(new RegExp(source));
+        } catch (e) {
+            errors.push(`${source}: ${e.message}`);
+        }
+    });
+    compiledPatternCache.set(settings, { patterns, errors });
+    return { patterns, errors };
+}
+
+/**
+ * Returns true when a class name, id or attribute value matches one of the user's unstable patterns. The
+ * built-in detection lives in locator-volatility.js.
+ */
+function matchesUnstablePattern(token, settings = activeSettings) {
+    return compileUnstablePatterns(settings).patterns.some(pattern => pattern.test(token));
+}
+
+function exportSettings(settings) {
+    return JSON.stringify({ version: SETTINGS_EXPORT_VERSION, settings: normalizeSettings(settings) }, null, 2);
+}
+
+/**
+ * Parses a JSON export. Accepts both the wrapped export format and a bare settings object.
+ * Throws an Error with a readable message when the JSON is malformed.
+ */
+function parseImportedSettings(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (e) {
+        throw new Error(`Not valid JSON: ${e.message}`);
+    }
+    if (!data || typeof data !== 'object') throw new Error('Expected a JSON object.');
+    if (data.version !== undefined && data.version > SETTINGS_EXPORT_VERSION) {
+        throw new Error(`Settings were exported by a newer version (format ${data.version}).`);
+    }
+    return normalizeSettings(data.settings || data);
+}
@@ -0,0 +1,55 @@
+/**
+ * @file test-script.js
+ * Turns the steps captured by the interaction recorder (recorder.js) into Playwright code. A recorded step is
+ * language neutral, so one recording can be exported as a pytest file or as a @playwright/test spec:
+ *   { kind: 'action', method: 'fill', chain: { steps: [...] }, args: ['alice'] }
+ *   { kind: 'assertion', method: 'toBeVisible', chain: { steps: [...] }, args: [] }
+ * Page-level steps such as goto() have no chain.
+ */
+
+const TEST_SCRIPT_TEMPLATES = {
+    pytest: {
+        label: 'pytest',
+        fileName: 'test_recording.py',
+        indent: '    ',
+        header: [
+            'import re',
+            'from playwright.sync_api import Page, expect',
+            '',
+            '',
+            'def test_recording(page: Page) -> None:',
+        ],
+        footer: [],
+    },
+    js: {
+        label: '@playwright/test',
+        fileName: 'recording.spec.ts',
+        indent: '  ',
+        header: [
+            "import { test, expect } from '@playwright/test';",
+            '',
+            "test('recording', async ({ page }) => {",
+        ],
+        footer: ['});'],
+    },
+};
+
+/**
+ * Returns the statement for one recorded step in the given framework.
+ */
+function emitRecordedStep(step, framework) {
+    const expression = step.kind === 'assertion'
+        ? emitAssertion(step.chain, step.method, step.args, framework)
+        : emitAction(step.chain, step.method, step.args, framework);
+    return emitStatement(expression, framework);
+}
+
+/**
+ * Returns a complete, runnable test file for a recording. `framework` is a key of TEST_SCRIPT_TEMPLATES.
+ */
+function buildTestScript(steps, framework) {
+    const template = TEST_SCRIPT_TEMPLATES[framework];
+    const body = steps.map(step => template.indent + emitRecordedStep(step, framework));
+    if (body.length === 0 && framework === 'pytest') body.push(`${template.indent}pass`);
+    return [...template.header, ...body, ...template.footer].join('\n') + '\n';
+}
@@ -0,0 +1,242 @@
+/**
+ * @file accessibility.test.mjs
+ * Role and accessible name fixtures for accessibility.js: each one is an HTML snippet whose `data-target`
+ * element must get the role and name Playwright's getByRole() would give it. Run with `node --test tests/`.
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { createLocatorEngine } from '../locator-engine.mjs';
+
+const FIXTURES = [
+    // --- aria-labelledby and aria-label ---
+    {
+        title: 'aria-labelledby joins the referenced texts in order',
+        html: '<span id="a">Delete</span><span id="b">invoice</span><button data-target aria-labelledby="a b">X</button>',
+        role: 'button', name: 'Delete invoice',
+    },
+    {
+        title: 'aria-labelledby wins over aria-label',
+        html: '<span id="a">Search</span><input data-target type="text" aria-label="Query" aria-labelledby="a">',
+        role: 'textbox', name: 'Search',
+    },
+    {
+        title: 'aria-labelledby may reference hidden elements',
+        html: '<span id="a" hidden>Close dialog</span><button data-target aria-labelledby="a">×</button>',
+        role: 'button', name: 'Close dialog',
+    },
+    {
+        title: 'aria-labelledby to the element itself includes its own content',
+        html: '<span id="a">Remove</span><button data-target id="self" aria-labelledby="a self">row 3</button>',
+        role: 'button', name: 'Remove row 3',
+    },
+    {
+        title: 'aria-labelledby includes the value of an embedded text field',
+        html: '<span id="a">Flash the screen <input type="text" value="3"> times</span><button data-target aria-labelledby="a">Go</button>',
+        role: 'button', name: 'Flash the screen 3 times',
+    },
+    {
+        title: 'aria-label wins over content',
+        html: '<button data-target aria-label="Close">×</button>',
+        role: 'button', name: 'Close',
+    },
+
+    // --- labels ---
+    {
+        title: 'a wrapping label names its control, without the control\'s own value',
+        html: '<label><input data-target type="checkbox"> Remember me</label>',
+        role: 'checkbox', name: 'Remember me',
+    },
+    {
+        title: 'a wrapping label leaves out the value of the field it names',
+        html: '<label>Pay <input data-target type="text" value="ignored"></label>',
+        role: 'textbox', name: 'Pay',
+    },
+    {
+        title: 'a label with a for attribute names its control',
+        html: '<label for="email">Email address</label><input data-target id="email" type="email">',
+        role: 'textbox', name: 'Email address',
+    },
+    {
+        title: 'several labels are joined',
+        html: '<label for="q">Search</label><input data-target id="q" type="search"><label for="q">the site</label>',
+        role: 'searchbox', name: 'Search the site',
+    },
+    {
+        title: 'the placeholder is used when nothing else names a field',
+        html: '<input data-target type="text" placeholder="First name">',
+        role: 'textbox', name: 'First name',
+    },
+    {
+        title: 'the title is the last resort',
+        html: '<input data-target type="text" title="Postcode">',
+        role: 'textbox', name: 'Postcode',
+    },
+
+    // --- aria-hidden ---
+    {
+        title: 'aria-hidden content is left out of a name from content',
+        html: '<button data-target>Save<span aria-hidden="true"> ✓</span></button>',
+        role: 'button', name: 'Save',
+    },
+    {
+        title: 'hidden content is left out of a name from content',
+        html: '<a data-target href="/cart">Cart <span style="display: none">(empty)</span></a>',
+        role: 'link', name: 'Cart',
+    },
+    {
+        title: 'an aria-hidden icon with an alt adds nothing',
+        html: '<a data-target href="/"><img src="logo.png" alt="Logo" aria-hidden="true">Home</a>',
+        role: 'link', name: 'Home',
+    },
+    {
+        title: 'an image inside a link contributes its alt',
+        html: '<a data-target href="/"><img src="logo.png" alt="Acme"> home</a>',
+        role: 'link', name: 'Acme home',
+    },
+
+    // --- fieldset, table and figure ---
+    {
+        title: 'a fieldset is a group named by its legend',
+        html: '<fieldset data-target><legend>Shipping address</legend><input type="text"></fieldset>',
+        role: 'group', name: 'Shipping address',
+    },
+    {
+        title: 'a table is named by its caption',
+        html: '<table data-target><caption>Monthly totals</caption><tr><td>1</td></tr></table>',
+        role: 'table', name: 'Monthly totals',
+    },
+    {
+        title: 'a header cell is a columnheader named by its content',
+        html: '<table><tr><th data-target>Price</th></tr><tr><td>1</td></tr></table>',
+        role: 'columnheader', name: 'Price',
+    },
+    {
+        title: 'a figure is named by its figcaption',
+        html: '<figure data-target><img src="chart.png" alt="Chart"><figcaption>Sales in 2024</figcaption></figure>',
+        role: 'figure', name: 'Sales in 2024',
+    },
+    {
+        title: 'an image without alt is an img with no name',
+        html: '<img data-target src="chart.png">',
+        role: 'img', name: '',
+    },
+    {
+        title: 'an image with an empty alt is presentational',
+        html: '<img data-target src="spacer.png" alt="">',
+        role: 'presentation', name: '',
+    },
+
+    // --- landmarks ---
+    {
+        title: 'a top-level header is a banner',
+        html: '<header data-target><h1>Acme</h1></header>',
+        role: 'banner', name: '',
+    },
+    {
+        title: 'a header inside a section is not a landmark',
+        html: '<section><header data-target><h2>News</h2></header></section>',
+        role: null, name: '',
+    },
+    {
+        title: 'a top-level footer is a contentinfo',
+        html: '<footer data-target>© Acme</footer>',
+        role: 'contentinfo', name: '',
+    },
+    {
+        title: 'a footer inside an article is not a landmark',
+        html: '<article><footer data-target>Posted today</footer></article>',
+        role: null, name: '',
+    },
+    {
+        title: 'a named section is a region',
+        html: '<section data-target aria-labelledby="h"><h2 id="h">Latest news</h2></section>',
+        role: 'region', name: 'Latest news',
+    },
+    {
+        title: 'a section without a name is not a region',
+        html: '<section data-target><h2>Latest news</h2></section>',
+        role: null, name: '',
+    },
+    {
+        title: 'a nav is a navigation landmark named by aria-label',
+        html: '<nav data-target aria-label="Breadcrumb"><a href="/">Home</a></nav>',
+        role: 'navigation', name: 'Breadcrumb',
+    },
+
+    // --- input types ---
+    {
+        title: 'a submit input is a button named by its value',
+        html: '<input data-target type="submit" value="Place order">',
+        role: 'button', name: 'Place order',
+    },
+    {
+        title: 'a submit input without a value is named "Submit"',
+        html: '<input data-target type="submit">',
+        role: 'button', name: 'Submit',
+    },
+    {
+        title: 'an image input is a button named by its alt',
+        html: '<input data-target type="image" src="go.png" alt="Go">',
+        role: 'button', name: 'Go',
+    },
+    {
+        title: 'a number input is a spinbutton',
+        html: '<label>Quantity <input data-target type="number" value="1"></label>',
+        role: 'spinbutton', name: 'Quantity',
+    },
+    {
+        title: 'a range input is a slider',
+        html: '<input data-target type="range" aria-label="Volume">',
+        role: 'slider', name: 'Volume',
+    },
+    {
+        title: 'a radio input is a radio',
+        html: '<label><input data-target type="radio" name="size"> Large</label>',
+        role: 'radio', name: 'Large',
+    },
+    {
+        title: 'a search input is a searchbox',
+        html: '<input data-target type="search" aria-label="Search">',
+        role: 'searchbox', name: 'Search',
+    },
+    {
+        title: 'an email input is a textbox',
+        html: '<input data-target type="email" aria-label="Email">',
+        role: 'textbox', name: 'Email',
+    },
+    {
+        title: 'an email input with a list is a combobox',
+        html: '<input data-target type="email" list="emails" aria-label="Email"><datalist id="emails"></datalist>',
+        role: 'combobox', name: 'Email',
+    },
+    {
+        title: 'a single-line select is a combobox',
+        html: '<label for="c">Country</label><select data-target id="c"><option>France</option></select>',
+        role: 'combobox', name: 'Country',
+    },
+    {
+        title: 'a multiple select is a listbox',
+        html: '<select data-target multiple aria-label="Toppings"><option>Ham</option></select>',
+        role: 'listbox', name: 'Toppings',
+    },
+    {
+        title: 'a hidden input has no role',
+        html: '<input data-target type="hidden" value="1">',
+        role: null, name: '',
+    },
+];
+
+async function getRoleAndName(html) {
+    // jsdom reports what it doesn't implement, such as ::before styles, which the engine already tolerates.
+    const { window } = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, { virtualConsole: new VirtualConsole() });
+    const engine = await createLocatorEngine(window.document);
+    const element = window.document.querySelector('[data-target]');
+    return { role: engine.getImplicitRole(element), name: engine.getAccessibleName(element) };
+}
+
+FIXTURES.forEach(fixture => {
+    test(fixture.title, async () => {
+        assert.deepEqual(await getRoleAndName(fixture.html), { role: fixture.role, name: fixture.name });
+    });
+});
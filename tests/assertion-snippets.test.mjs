@@ -0,0 +1,148 @@
+/**
+ * @file assertion-snippets.test.mjs
+ * Assertion snippets for the elements of tests/fixtures/account.html, through locator-engine.mjs: each case is
+ * the code one suggested assertion must have in every language, escaping included. jsdom has no layout, so the
+ * elements get a box unless they are inside a `hidden` one. Run with `node --test tests/`.
+ */
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { createLocatorEngine } from '../locator-engine.mjs';
+
+const FIXTURE = fileURLToPath(new URL('fixtures/account.html', import.meta.url));
+const PAGE_URL = 'https://shop.example.com/account';
+// Leaves only the strategies that can match several elements, so the duplicated button's best locator does.
+const AMBIGUOUS_SETTINGS = { disabledStrategies: ['css', 'xpath', 'chained'] };
+
+// { title, selector, settings, matcher, code: { framework: code } }
+const CASES = [
+    {
+        title: 'toHaveValue escapes quotes and backslashes',
+        selector: '#email',
+        matcher: 'toHaveValue',
+        code: {
+            pytest: String.raw`expect(page.get_by_role("textbox", name="Email", exact=True)).to_have_value("o\"brien\\home@example.com")`,
+            js: String.raw`await expect(page.getByRole("textbox", { name: "Email", exact: true })).toHaveValue("o\"brien\\home@example.com");`,
+            java: String.raw`assertThat(page.getByRole(AriaRole.TEXTBOX, new Page.GetByRoleOptions().setName("Email").setExact(true))).hasValue("o\"brien\\home@example.com");`,
+            csharp: String.raw`await Expect(Page.GetByRole(AriaRole.Textbox, new() { Name = "Email", Exact = true })).ToHaveValueAsync("o\"brien\\home@example.com");`,
+        },
+    },
+    {
+        title: 'an unchecked checkbox gets a negated toBeChecked',
+        selector: 'input[name="terms"]',
+        matcher: 'not.toBeChecked',
+        code: {
+            pytest: 'expect(page.get_by_role("checkbox", name="Accept terms", exact=True)).not_to_be_checked()',
+            js: 'await expect(page.getByRole("checkbox", { name: "Accept terms", exact: true })).not.toBeChecked();',
+            java: 'assertThat(page.getByRole(AriaRole.CHECKBOX, new Page.GetByRoleOptions().setName("Accept terms").setExact(true))).not().isChecked();',
+            csharp: 'await Expect(Page.GetByRole(AriaRole.Checkbox, new() { Name = "Accept terms", Exact = true })).Not.ToBeCheckedAsync();',
+        },
+    },
+    {
+        title: 'a checked checkbox gets toBeChecked',
+        selector: 'input[name="updates"]',
+        matcher: 'toBeChecked',
+        code: {
+            pytest: 'expect(page.get_by_role("checkbox", name="Send me updates", exact=True)).to_be_checked()',
+            js: 'await expect(page.getByRole("checkbox", { name: "Send me updates", exact: true })).toBeChecked();',
+            java: 'assertThat(page.getByRole(AriaRole.CHECKBOX, new Page.GetByRoleOptions().setName("Send me updates").setExact(true))).isChecked();',
+            csharp: 'await Expect(Page.GetByRole(AriaRole.Checkbox, new() { Name = "Send me updates", Exact = true })).ToBeCheckedAsync();',
+        },
+    },
+    {
+        title: 'a disabled button gets toBeDisabled',
+        selector: 'button[disabled]',
+        matcher: 'toBeDisabled',
+        code: {
+            pytest: 'expect(page.get_by_role("button", name="Pay now", exact=True)).to_be_disabled()',
+            js: 'await expect(page.getByRole("button", { name: "Pay now", exact: true })).toBeDisabled();',
+            java: 'assertThat(page.getByRole(AriaRole.BUTTON, new Page.GetByRoleOptions().setName("Pay now").setExact(true))).isDisabled();',
+            csharp: 'await Expect(Page.GetByRole(AriaRole.Button, new() { Name = "Pay now", Exact = true })).ToBeDisabledAsync();',
+        },
+    },
+    {
+        title: 'a link gets toHaveURL on the page, with the absolute URL',
+        selector: 'a',
+        matcher: 'toHaveURL',
+        code: {
+            pytest: 'expect(page).to_have_url("https://shop.example.com/orders?page=2")',
+            js: 'await expect(page).toHaveURL("https://shop.example.com/orders?page=2");',
+            java: 'assertThat(page).hasURL("https://shop.example.com/orders?page=2");',
+            csharp: 'await Expect(Page).ToHaveURLAsync("https://shop.example.com/orders?page=2");',
+        },
+    },
+    {
+        title: 'an ambiguous locator gets toHaveCount without nth()',
+        selector: 'li:nth-of-type(2) > button',
+        settings: AMBIGUOUS_SETTINGS,
+        matcher: 'toHaveCount',
+        code: {
+            pytest: 'expect(page.get_by_role("button", name="Edit", exact=True)).to_have_count(2)',
+            js: 'await expect(page.getByRole("button", { name: "Edit", exact: true })).toHaveCount(2);',
+            java: 'assertThat(page.getByRole(AriaRole.BUTTON, new Page.GetByRoleOptions().setName("Edit").setExact(true))).hasCount(2);',
+            csharp: 'await Expect(Page.GetByRole(AriaRole.Button, new() { Name = "Edit", Exact = true })).ToHaveCountAsync(2);',
+        },
+    },
+    {
+        title: 'the picked one of several matches is asserted through nth()',
+        selector: 'li:nth-of-type(2) > button',
+        settings: AMBIGUOUS_SETTINGS,
+        matcher: 'toHaveText',
+        code: {
+            pytest: 'expect(page.get_by_role("button", name="Edit", exact=True).nth(1)).to_have_text("Edit")',
+            js: 'await expect(page.getByRole("button", { name: "Edit", exact: true }).nth(1)).toHaveText("Edit");',
+            java: 'assertThat(page.getByRole(AriaRole.BUTTON, new Page.GetByRoleOptions().setName("Edit").setExact(true)).nth(1)).hasText("Edit");',
+            csharp: 'await Expect(Page.GetByRole(AriaRole.Button, new() { Name = "Edit", Exact = true }).Nth(1)).ToHaveTextAsync("Edit");',
+        },
+    },
+    {
+        title: 'a long text is asserted with toContainText on its first words',
+        selector: 'p:not([hidden])',
+        matcher: 'toContainText',
+        code: {
+            pytest: 'expect(page.get_by_text("Your account was created on the first day of spring, and you have ordered from us every month since then.", exact=True)).to_contain_text("Your account was created on the first")',
+            js: 'await expect(page.getByText("Your account was created on the first day of spring, and you have ordered from us every month since then.", { exact: true })).toContainText("Your account was created on the first");',
+            java: 'assertThat(page.getByText("Your account was created on the first day of spring, and you have ordered from us every month since then.", new Page.GetByTextOptions().setExact(true))).containsText("Your account was created on the first");',
+            csharp: 'await Expect(Page.GetByText("Your account was created on the first day of spring, and you have ordered from us every month since then.", new() { Exact = true })).ToContainTextAsync("Your account was created on the first");',
+        },
+    },
+    {
+        title: 'a hidden element gets toBeHidden',
+        selector: 'p[hidden]',
+        matcher: 'toBeHidden',
+        code: {
+            pytest: 'expect(page.get_by_text("Saved", exact=True)).to_be_hidden()',
+            js: 'await expect(page.getByText("Saved", { exact: true })).toBeHidden();',
+            java: 'assertThat(page.getByText("Saved", new Page.GetByTextOptions().setExact(true))).isHidden();',
+            csharp: 'await Expect(Page.GetByText("Saved", new() { Exact = true })).ToBeHiddenAsync();',
+        },
+    },
+];
+
+async function loadFixture(settings) {
+    const { window } = new JSDOM(await readFile(FIXTURE, 'utf8'), { url: PAGE_URL, virtualConsole: new VirtualConsole() });
+    window.Element.prototype.getBoundingClientRect = function () {
+        const size = this.closest('[hidden]') ? 0 : 10;
+        return { x: 0, y: 0, left: 0, top: 0, right: size, bottom: size, width: size, height: size };
+    };
+    return { document: window.document, engine: await createLocatorEngine(window.document, { settings }) };
+}
+
+CASES.forEach(({ title, selector, settings, matcher, code }) => {
+    test(title, async () => {
+        const { document, engine } = await loadFixture(settings);
+        const element = document.querySelector(selector);
+        Object.entries(code).forEach(([framework, expected]) => {
+            const snippet = engine.generateAssertionSnippets(element, framework).find(other => other.matcher === matcher);
+            assert.equal(snippet && snippet.code, expected, framework);
+        });
+    });
+});
+
+test('a locator that matches one element gets no toHaveCount', async () => {
+    const { document, engine } = await loadFixture();
+    const matchers = engine.generateAssertionSnippets(document.querySelector('li:nth-of-type(2) > button')).map(snippet => snippet.matcher);
+    assert.deepEqual(matchers, ['toBeVisible', 'toHaveText', 'toBeEnabled', 'toHaveAttribute']);
+});
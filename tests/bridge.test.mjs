@@ -0,0 +1,99 @@
+/**
+ * @file bridge.test.mjs
+ * The local bridge (bridge.js) against bridge-stub-server.mjs: a verify request typed into the stub must reach
+ * the extension and come back as a verifyResult, and a picked locator must reach the stub, all through the
+ * protocol documented in bridge.js. bridge.js runs in a context with just the chrome APIs it uses, over the
+ * HTTP transport. Run with `node --test tests/`.
+ */
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { readFile } from 'node:fs/promises';
+import { after, before, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { createLocatorEngine } from '../locator-engine.mjs';
+
+const STUB = fileURLToPath(new URL('../bridge-stub-server.mjs', import.meta.url));
+const BRIDGE = fileURLToPath(new URL('../bridge.js', import.meta.url));
+const PAGE_URL = 'https://example.com/login';
+const OUTPUT_TIMEOUT_MS = 5000;
+
+let stub;
+let stubOutput = '';
+let bridge;
+
+/**
+ * Resolves with the first match of `pattern`, a string or a regular expression, in what the stub has printed,
+ * waiting for it when needed.
+ */
+function waitForStubOutput(pattern) {
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            const match = typeof pattern === 'string' ? stubOutput.includes(pattern) && [pattern] : stubOutput.match(pattern);
+            if (!match) return;
+            stub.stdout.off('data', check);
+            clearTimeout(timer);
+            resolve(match);
+        };
+        const timer = setTimeout(() => {
+            stub.stdout.off('data', check);
+            reject(new Error(`The stub did not print ${pattern}. It printed:\n${stubOutput}`));
+        }, OUTPUT_TIMEOUT_MS);
+        stub.stdout.on('data', check);
+        check();
+    });
+}
+
+/**
+ * Evaluates bridge.js with the chrome APIs it uses and returns its global scope.
+ */
+async function loadBridge() {
+    const chrome = {
+        storage: { local: { set: () => Promise.resolve(), get: () => Promise.resolve({}) } },
+        alarms: { create() {}, clear() {} },
+        runtime: { getManifest: () => ({ version: 'test' }) },
+    };
+    const context = vm.createContext({ chrome, console, fetch, URL, setTimeout, setInterval, clearInterval });
+    vm.runInContext(await readFile(BRIDGE, 'utf8'), context, { filename: BRIDGE });
+    return context;
+}
+
+before(async () => {
+    stub = spawn(process.execPath, [STUB, '--port', '0']);
+    stub.stdout.setEncoding('utf8');
+    stub.stdout.on('data', chunk => { stubOutput += chunk; });
+    const [, port] = await waitForStubOutput(/listening on ws:\/\/localhost:\d+ and (http:\/\/localhost:\d+)/);
+
+    const { window } = new JSDOM('<button>Sign in</button><button>Cancel</button>', { virtualConsole: new VirtualConsole() });
+    const engine = await createLocatorEngine(window.document);
+    bridge = await loadBridge();
+    bridge.setBridgeRequestHandler(request => Promise.resolve({ url: PAGE_URL, count: engine.countMatches(request.locator) }));
+    bridge.configureBridge({ enabled: true, url: port });
+});
+
+after(async () => {
+    bridge.configureBridge({ enabled: false, url: 'ws://localhost:8765' });
+    stub.kill();
+    await once(stub, 'exit');
+});
+
+test('a verify request from the endpoint is answered with a verifyResult', async () => {
+    stub.stdin.write('page.get_by_role("button", name="Sign in")\n');
+    await waitForStubOutput(`#1: 1 match(es) on ${PAGE_URL}`);
+    stub.stdin.write('page.get_by_role("button"\n');
+    await waitForStubOutput("#2: Expected ')' but found end of input");
+});
+
+test('a picked locator is sent to the endpoint', async () => {
+    bridge.sendBridgeMessage({
+        type: 'locatorPicked',
+        url: PAGE_URL,
+        framework: 'pytest',
+        locator: 'page.get_by_role("button", name="Sign in")',
+        candidates: [{ locator: 'page.get_by_role("button", name="Sign in")', label: 'Role + name', score: 90, matchCount: 1 }],
+    });
+    const [, locator] = await waitForStubOutput(/Picked on https:\/\/example\.com\/login:\n {2}(.+)\n/);
+    assert.equal(locator, 'page.get_by_role("button", name="Sign in")');
+});
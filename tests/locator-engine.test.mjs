@@ -0,0 +1,108 @@
+/**
+ * @file locator-engine.test.mjs
+ * Snapshot tests for the locator engine and locator-cli.mjs: the locators generated for the elements of
+ * tests/fixtures/checkout.html must match tests/snapshots/checkout.txt. After an intended change to the
+ * generator, rewrite the snapshot with `UPDATE_SNAPSHOTS=1 node --test tests/` and review its diff.
+ */
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { readFile, writeFile } from 'node:fs/promises';
+import { test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { createLocatorEngine } from '../locator-engine.mjs';
+
+const FIXTURE = fileURLToPath(new URL('fixtures/checkout.html', import.meta.url));
+const SNAPSHOT = fileURLToPath(new URL('snapshots/checkout.txt', import.meta.url));
+const CLI = fileURLToPath(new URL('../locator-cli.mjs', import.meta.url));
+
+// The elements to generate locators for, by a CSS selector that only the test uses.
+const TARGETS = {
+    'email field': '#email',
+    'newsletter checkbox': 'input[name="newsletter"]',
+    'country select': 'select',
+    'place order button': 'button[type="submit"]',
+    'cancel button': 'button[type="button"]',
+    'cart link': 'a[href="/cart"]',
+    'free shipping text': 'span',
+};
+const FRAMEWORKS = ['pytest', 'python-async', 'js', 'java', 'csharp'];
+
+async function loadFixture() {
+    const { window } = new JSDOM(await readFile(FIXTURE, 'utf8'), { virtualConsole: new VirtualConsole() });
+    return { document: window.document, engine: await createLocatorEngine(window.document) };
+}
+
+/**
+ * Every candidate of every target in pytest, best first, then the best locator in each language.
+ */
+function renderSnapshot(document, engine) {
+    const lines = [];
+    Object.entries(TARGETS).forEach(([name, selector]) => {
+        const element = document.querySelector(selector);
+        lines.push(`# ${name}`);
+        engine.generateLocatorCandidates(element).forEach(candidate => {
+            lines.push(`${candidate.locator}\t${candidate.label}, score ${candidate.score}, matches ${candidate.matchCount}`);
+        });
+        FRAMEWORKS.forEach(framework => lines.push(`${framework}: ${engine.generateLocator(element, framework)}`));
+        lines.push('');
+    });
+    return lines.join('\n');
+}
+
+test('generated locators match the snapshot', async () => {
+    const { document, engine } = await loadFixture();
+    const actual = renderSnapshot(document, engine);
+    if (process.env.UPDATE_SNAPSHOTS) await writeFile(SNAPSHOT, actual);
+    assert.equal(actual, await readFile(SNAPSHOT, 'utf8'));
+});
+
+test('every generated locator finds its element again', async () => {
+    const { document, engine } = await loadFixture();
+    Object.values(TARGETS).forEach(selector => {
+        const element = document.querySelector(selector);
+        engine.generateLocatorCandidates(element, 'js')
+            .filter(candidate => candidate.matchCount === 1)
+            .forEach(candidate => assert.deepEqual(engine.findMatches(candidate.verifierLocator), [element], candidate.locator));
+    });
+});
+
+test('the fallback warning names the strategy that was used', async () => {
+    const html = '<ul><li><i></i></li><li><i></i></li></ul>';
+    const pickIcon = async settings => {
+        const { window } = new JSDOM(html, { virtualConsole: new VirtualConsole() });
+        const engine = await createLocatorEngine(window.document, { settings });
+        return engine.generateLocator(window.document.querySelectorAll('i')[1], 'js');
+    };
+    assert.equal(await pickIcon(), 'page.locator("li:nth-of-type(2) > i") // WARNING: CSS selector fallback. Consider adding a data-testid.');
+    assert.equal(await pickIcon({ disabledStrategies: ['css'] }),
+        'page.locator("xpath=/html/body/ul/li[2]/i") // WARNING: XPath selector fallback. Consider adding a data-testid.');
+});
+
+test('an item filter with "#" in its text survives copying', async () => {
+    const html = `<table>
+        <tr><th>Order</th><th>Actions</th></tr>
+        <tr><td>Order #1234</td><td><button>Delete</button></td></tr>
+        <tr><td>Order #1235</td><td><button>Delete</button></td></tr>
+    </table>`;
+    const { window } = new JSDOM(html, { virtualConsole: new VirtualConsole() });
+    const engine = await createLocatorEngine(window.document);
+    const button = window.document.querySelector('button');
+    const [best] = engine.generateLocatorCandidates(button);
+    assert.equal(best.locator, 'page.get_by_role("row").filter(has_text="Order #1234").get_by_role("button", name="Delete", exact=True)');
+    // The copy buttons copy the best locator through stripLocatorNote(), which must only drop an appended note.
+    assert.equal(engine.stripLocatorNote(engine.generateLocator(button)), best.locator);
+    assert.equal(engine.stripLocatorNote(`${best.locator} # WARNING: CSS selector fallback.`), best.locator);
+    const jsLocator = engine.generateLocator(button, 'js');
+    assert.equal(engine.stripLocatorNote(`${jsLocator} // WARNING: CSS selector fallback.`), jsLocator);
+});
+
+test('locator-cli prints the best locator and match counts', async () => {
+    const run = (...args) => promisify(execFile)(process.execPath, [CLI, FIXTURE, ...args]).then(({ stdout }) => stdout.trim());
+    const { document, engine } = await loadFixture();
+    assert.equal(await run('--css', TARGETS['place order button'], '--lang', 'js'),
+        engine.generateLocator(document.querySelector(TARGETS['place order button']), 'js'));
+    assert.equal(await run('--id', 'email'), engine.generateLocator(document.getElementById('email')));
+    assert.equal(await run('--locator', "page.get_by_role('button')"), '2');
+});
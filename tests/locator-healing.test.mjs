@@ -0,0 +1,79 @@
+/**
+ * @file locator-healing.test.mjs
+ * Drift detection for saved locators (locator-healing.js), through locator-engine.mjs: an element of
+ * tests/fixtures/login.html is fingerprinted, then changed the way a release changes it, and healing must
+ * find it again with a diff against the old locator, or suggest nothing when no element resembles it closely
+ * enough. Run with `node --test tests/`.
+ */
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { createLocatorEngine } from '../locator-engine.mjs';
+
+const FIXTURE = fileURLToPath(new URL('fixtures/login.html', import.meta.url));
+
+async function loadFixture() {
+    const { window } = new JSDOM(await readFile(FIXTURE, 'utf8'), { virtualConsole: new VirtualConsole() });
+    // jsdom has no layout; healing scores hidden elements down.
+    window.Element.prototype.getBoundingClientRect = () => ({ x: 0, y: 0, left: 0, top: 0, right: 10, bottom: 10, width: 10, height: 10 });
+    const engine = await createLocatorEngine(window.document);
+    const button = window.document.getElementById('login-btn');
+    return { document: window.document, engine, button, fingerprint: engine.createElementFingerprint(button) };
+}
+
+test('a fingerprint holds what identifies the element', async () => {
+    const { fingerprint } = await loadFixture();
+    assert.deepEqual(fingerprint, {
+        tag: 'button',
+        role: 'button',
+        name: 'Log in',
+        text: 'Log in',
+        attributes: { id: 'login-btn', type: 'submit', class: 'btn btn-primary' },
+        path: ['button', 'form', 'body'],
+        labels: ['Cancel', 'Sign in'],
+    });
+});
+
+test('an element whose id, class and text changed is found again', async () => {
+    const { engine, button, fingerprint } = await loadFixture();
+    button.id = 'signin-button';
+    button.className = 'btn btn-accent';
+    button.textContent = 'Log in now';
+
+    const healing = engine.suggestLocatorHealing('#login-btn', fingerprint);
+    assert.equal(healing.element, button);
+    assert.ok(healing.score >= 50 && healing.score < 100, `score ${healing.score}`);
+    assert.equal(healing.newLocator, 'page.get_by_role("button", name="Log in now", exact=True)');
+    assert.deepEqual(healing.diff, [
+        { type: 'same', text: 'page.' },
+        { type: 'removed', text: 'locator' },
+        { type: 'added', text: 'get_by_role' },
+        { type: 'same', text: '(' },
+        { type: 'removed', text: '"#login-btn"' },
+        { type: 'added', text: '"button", name="Log in now", exact=True' },
+        { type: 'same', text: ')' },
+    ]);
+});
+
+test('the diff keeps the unchanged parts of a locator', async () => {
+    const { engine, button, fingerprint } = await loadFixture();
+    button.textContent = 'Log in now';
+
+    const healing = engine.suggestLocatorHealing('page.getByRole("button", { name: "Log in", exact: true })', fingerprint, 'js');
+    assert.equal(healing.element, button);
+    assert.deepEqual(healing.diff, [
+        { type: 'same', text: 'page.getByRole("button", { name: ' },
+        { type: 'removed', text: '"Log in"' },
+        { type: 'added', text: '"Log in now"' },
+        { type: 'same', text: ', exact: true })' },
+    ]);
+});
+
+test('nothing is suggested when no element scores above the threshold', async () => {
+    const { document, engine, button, fingerprint } = await loadFixture();
+    button.remove();
+    assert.ok(document.getElementById('cancel'), 'the other button is still there');
+    assert.equal(engine.suggestLocatorHealing('#login-btn', fingerprint), null);
+});
@@ -0,0 +1,101 @@
+/**
+ * @file locator-parser.test.mjs
+ * The Selector Verifier's tokenizer, parser and evaluator, through locator-engine.mjs: Python and JavaScript
+ * locator expressions must find the same elements Playwright would, plain CSS must still reach the CSS engine,
+ * and malformed input must be reported at the right position. Run with `node --test tests/`.
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { createLocatorEngine } from '../locator-engine.mjs';
+
+const PAGE = `
+    <page-header><button id="menu">Menu</button></page-header>
+    <page id="page-element">Page</page>
+    <ul>
+        <li id="first-item">Sign in</li>
+        <li id="second-item">Sign In now</li>
+        <li id="last-item">Other <b id="bold">bold</b></li>
+    </ul>
+    <button id="sign-in">Sign in</button>
+    <button id="save" disabled>Save</button>
+`;
+
+// [expression, ids of the elements it must find, in document order]
+const EXPRESSIONS = [
+    // --- snake_case and camelCase chains ---
+    ['page.get_by_role("listitem")', ['first-item', 'second-item', 'last-item']],
+    ['page.getByRole("listitem")', ['first-item', 'second-item', 'last-item']],
+    ['page.get_by_role("list").get_by_text("Sign in", exact=True)', ['first-item']],
+    ["page.getByRole('list').getByText('Sign in', { exact: true })", ['first-item']],
+    ['await page.locator("ul").get_by_text("bold")', ['bold']],
+    ['self.page.get_by_role("button", name="Save")', ['save']],
+
+    // --- exact ---
+    ['page.get_by_text("Sign in", exact=True)', ['first-item', 'sign-in']],
+    ['page.getByText("Sign in", { exact: true })', ['first-item', 'sign-in']],
+    ['page.get_by_text("Sign in", exact=False)', ['first-item', 'second-item', 'sign-in']],
+
+    // --- regular expressions ---
+    ['page.getByText(/Sign in/i)', ['first-item', 'second-item', 'sign-in']],
+    ['page.getByText(/^Sign in$/)', ['first-item', 'sign-in']],
+    ['page.get_by_text(re.compile("sign in", re.IGNORECASE))', ['first-item', 'second-item', 'sign-in']],
+
+    // --- nth, first and last ---
+    ['page.get_by_role("listitem").nth(1)', ['second-item']],
+    ['page.getByRole("listitem").nth(-1)', ['last-item']],
+    ['page.getByRole("listitem").first', ['first-item']],
+    ['page.get_by_role("listitem").last', ['last-item']],
+    ['page.getByRole("listitem").first()', ['first-item']],
+
+    // --- filter ---
+    ['page.get_by_role("listitem").filter(has_text="bold")', ['last-item']],
+    ['page.getByRole("listitem").filter({ hasText: /now$/ })', ['second-item']],
+    ['page.get_by_role("listitem").filter(has_not_text="Sign")', ['last-item']],
+    ['page.getByRole("listitem").filter({ has: page.locator("b") })', ['last-item']],
+
+    // --- and and or ---
+    ['page.get_by_role("button").and_(page.get_by_text("Save"))', ['save']],
+    ['page.getByRole("button").and(page.getByText("Save"))', ['save']],
+    ['page.get_by_role("button", name="Menu").or_(page.get_by_role("button", name="Save"))', ['menu', 'save']],
+
+    // --- plain CSS, even when it starts with a `page` element ---
+    ['page-header > button', ['menu']],
+    ['page', ['page-element']],
+    ['ul > li:nth-of-type(2)', ['second-item']],
+];
+
+// [expression, message, position of the offending character]
+const MALFORMED_EXPRESSIONS = [
+    ['page.get_by_role("button"', "Expected ')' but found end of input", 25],
+    ['page.get_by_role("button",, )', "Expected a value but found ','", 26],
+    ['page.get_by_role("button").nth()', "'nth' expects a single integer index", 27],
+];
+
+async function loadPage() {
+    const { window } = new JSDOM(PAGE, { virtualConsole: new VirtualConsole() });
+    return { document: window.document, engine: await createLocatorEngine(window.document) };
+}
+
+EXPRESSIONS.forEach(([expression, ids]) => {
+    test(`${expression} finds ${ids.join(', ')}`, async () => {
+        const { engine } = await loadPage();
+        assert.deepEqual(engine.findMatches(expression).map(element => element.id), ids);
+    });
+});
+
+MALFORMED_EXPRESSIONS.forEach(([expression, message, position]) => {
+    test(`${expression} is reported at position ${position + 1}`, async () => {
+        const { engine } = await loadPage();
+        assert.throws(() => engine.countMatches(expression), { name: 'LocatorParseError', message, position });
+    });
+});
+
+test('the parser reads options and regular expressions into the chain', async () => {
+    const { engine } = await loadPage();
+    const { steps } = engine.parseLocatorExpression('page.get_by_role("button", name=re.compile("save", re.I), exact=True).first');
+    assert.deepEqual(steps.map(step => step.method), ['getByRole', 'first']);
+    assert.deepEqual(steps[0].args, ['button']);
+    assert.equal(String(steps[0].options.name), '/save/i');
+    assert.equal(steps[0].options.exact, true);
+});
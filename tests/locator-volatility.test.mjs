@@ -0,0 +1,34 @@
+/**
+ * @file locator-volatility.test.mjs
+ * Tokens that locator-volatility.js must tell apart: generated ids and class names, which the Locator Generator
+ * leaves out of CSS selectors and XPaths, and hand-written ones that look alike. Run with `node --test tests/`.
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { createLocatorEngine } from '../locator-engine.mjs';
+
+// [token, kind, reason], where a null reason means the token is stable.
+const TOKENS = [
+    ['sc-bdfBwQ', 'class', 'styled-components class'],
+    ['sc-htpNat', 'class', 'styled-components class'],
+    ['sc-button', 'class', null],
+    ['sc-dropdown', 'class', null],
+    ['sc-dropDown', 'class', null],
+    ['css-1q2w3e', 'class', 'emotion class'],
+    ['Button_root__x8Fj2', 'class', 'CSS modules hash'],
+    ['card__title', 'class', null],
+    ['px-4', 'class', 'utility class'],
+    ['is-open', 'class', 'state class'],
+    ['ember123', 'id', 'auto-incremented id'],
+    [':r1:', 'id', 'React useId id'],
+    ['checkout-form', 'id', null],
+];
+
+const engine = createLocatorEngine(new JSDOM('', { virtualConsole: new VirtualConsole() }).window.document);
+
+TOKENS.forEach(([token, kind, reason]) => {
+    test(`${kind} "${token}" is ${reason || 'stable'}`, async () => {
+        assert.deepEqual((await engine).classifyToken(token, kind), { volatile: reason !== null, reason });
+    });
+});